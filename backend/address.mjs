@@ -0,0 +1,117 @@
+// address.mjs
+// The IP address we tell peers to reach us at, found without an outside service so nodes also work on private
+// networks and machines without internet access. In order of preference:
+// 1. the address given with --advertise-addr, or 127.0.0.1 with --localhost
+// 2. the address of one of our network interfaces, a public one before a LAN one
+// 3. an HTTP lookup service such as https://api.ipify.org, only if configured and we have no public interface address
+// While running, peers tell us the address they saw our requests come from (observedIp in the answers to
+// POST /register and POST /handshake). Behind a NAT that is the address they can reach us at, so once enough
+// different peers agree on one we switch to it, unless the address was given explicitly
+import os from 'os';
+import net from 'net';
+
+export const OBSERVATIONS_TO_SWITCH = 2; // Different peers that have to report the same address before we use it
+const MAX_OBSERVATIONS = 100; // Peers whose report we remember, the oldest is forgotten first
+const LOOKUP_TIMEOUT = 5000;
+
+// Addresses only reachable inside a LAN (RFC 1918, carrier-grade NAT, link-local) or the machine itself
+export function isPrivateAddress(ip) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 10 || a === 127 ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        (a === 169 && b === 254) ||
+        (a === 100 && b >= 64 && b <= 127);
+}
+
+// Best IPv4 address of our network interfaces: a public one if we have one, else a LAN address, else 127.0.0.1
+export function getLocalAddress() {
+    const addresses = Object.values(os.networkInterfaces())
+        .flat()
+        .filter(iface => iface && (iface.family === 'IPv4' || iface.family === 4) && !iface.internal)
+        .map(iface => iface.address);
+    return addresses.find(ip => !isPrivateAddress(ip)) || addresses[0] || '127.0.0.1';
+}
+
+class AddressManager {
+    constructor() {
+        this.address = null;
+        this.source = null; // advertised, localhost, interface, lookup or observed
+        this.observations = new Map(); // node id of a peer -> the address it last saw us at
+        this.listeners = [];
+    }
+
+    // Pick our address at startup from the node's network settings
+    async discover({ advertiseAddr = null, localhost = false, lookupUrl = null } = {}) {
+        if (advertiseAddr) {
+            this.setAddress(advertiseAddr, 'advertised');
+        } else if (localhost) {
+            this.setAddress('127.0.0.1', 'localhost');
+        } else {
+            const localAddress = getLocalAddress();
+            const lookedUp = isPrivateAddress(localAddress) && lookupUrl ? await this.lookUp(lookupUrl) : null;
+            if (lookedUp) {
+                this.setAddress(lookedUp, 'lookup');
+            } else {
+                this.setAddress(localAddress, 'interface');
+            }
+        }
+        return this.address;
+    }
+
+    async lookUp(lookupUrl) {
+        try {
+            const response = await fetch(lookupUrl, { signal: AbortSignal.timeout(LOOKUP_TIMEOUT) });
+            const ip = (await response.text()).trim();
+            if (!net.isIPv4(ip)) {
+                throw new Error(`answered "${ip.slice(0, 50)}", not an IPv4 address`);
+            }
+            return ip;
+        } catch (error) {
+            console.log(`Address lookup at ${lookupUrl} failed, using our interface address: ${error.message}`);
+            return null;
+        }
+    }
+
+    // A peer told us the address our request to it came from
+    recordObservation(ip, peerId) {
+        if (!peerId || typeof ip !== 'string' || !net.isIPv4(ip)) return;
+
+        this.observations.delete(peerId);
+        this.observations.set(peerId, ip);
+        if (this.observations.size > MAX_OBSERVATIONS) {
+            this.observations.delete(this.observations.keys().next().value);
+        }
+
+        if (ip === this.address || this.source === 'advertised' || this.source === 'localhost') return;
+        const reporters = Array.from(this.observations.values()).filter(observed => observed === ip).length;
+        if (reporters >= OBSERVATIONS_TO_SWITCH) {
+            console.log(`${reporters} peers see us at ${ip}, advertising it instead of ${this.address} (${this.source})`);
+            this.setAddress(ip, 'observed');
+        }
+    }
+
+    setAddress(ip, source) {
+        const changed = ip !== this.address;
+        this.address = ip;
+        this.source = source;
+        if (changed) {
+            this.listeners.forEach(listener => listener(ip));
+        }
+    }
+
+    // Called with the new address whenever it changes
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    getStatus() {
+        const observed = {};
+        for (const ip of this.observations.values()) {
+            observed[ip] = (observed[ip] || 0) + 1;
+        }
+        return { address: this.address, source: this.source, observed };
+    }
+}
+
+export const addressManager = new AddressManager();
@@ -0,0 +1,84 @@
+// bans.mjs
+// Banned node ids and IP addresses. Bans expire, and the list is saved so a restart doesn't lift them
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_BAN_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+
+export class BanList {
+    constructor() {
+        this.bans = new Map(); // nodeId or IP -> { type, value, reason, bannedAt, expiresAt }
+        this.file = null;
+    }
+
+    // Load the saved bans (expired ones are dropped) and save to this file from now on
+    load(file) {
+        this.file = file;
+        if (!fs.existsSync(file)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            saved.forEach(ban => this.bans.set(ban.value, ban));
+            this.removeExpired();
+            console.log(`Loaded ${this.bans.size} bans from ${file}`);
+        } catch (error) {
+            console.log(`Ignoring unreadable ban list ${file}: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (!this.file) return;
+
+        try {
+            fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify(Array.from(this.bans.values()), null, 2));
+        } catch (error) {
+            console.error('Failed to save ban list:', error.message);
+        }
+    }
+
+    // type is 'nodeId' or 'ip'
+    ban(type, value, reason = 'manual', duration = DEFAULT_BAN_DURATION) {
+        const now = Date.now();
+        const ban = { type, value, reason, bannedAt: now, expiresAt: now + duration };
+        this.bans.set(value, ban);
+        this.save();
+        console.log(`Banned ${type} ${value} until ${new Date(ban.expiresAt).toISOString()} (${reason})`);
+        return ban;
+    }
+
+    unban(value) {
+        const removed = this.bans.delete(value);
+        if (removed) {
+            this.save();
+            console.log(`Lifted ban on ${value}`);
+        }
+        return removed;
+    }
+
+    isBanned(value) {
+        if (!value) return false;
+
+        const ban = this.bans.get(value);
+        if (!ban) return false;
+        if (ban.expiresAt <= Date.now()) {
+            this.unban(value);
+            return false;
+        }
+        return true;
+    }
+
+    removeExpired() {
+        const now = Date.now();
+        for (const [value, ban] of this.bans) {
+            if (ban.expiresAt <= now) this.bans.delete(value);
+        }
+    }
+
+    list() {
+        this.removeExpired();
+        return Array.from(this.bans.values());
+    }
+}
+
+export const banList = new BanList();
@@ -0,0 +1,450 @@
+// config.mjs
+// Node configuration in layers: built-in defaults, then a JSON or YAML config file, then environment variables,
+// then command line flags. Every setting is described once in CONFIG_OPTIONS, which gives its place in the
+// config file (e.g. network.maxInternalConnections), its flag (--max-internal-connections=) and its
+// environment variable (DL_MAX_INTERNAL_CONNECTIONS)
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { consensusParams } from './consensus.mjs';
+import { networkParams } from './network.mjs';
+import { parseRateLimits } from './ratelimit.mjs';
+import { MAX_MINING_THREADS } from './mining.mjs';
+import { isValidAddress } from './wallet.mjs';
+
+const ENV_PREFIX = 'DL_';
+const REDACTED = '<redacted>';
+
+// type is one of integer, seconds (a positive number of seconds), boolean, string or list (comma separated)
+export const CONFIG_OPTIONS = [
+    { key: 'network.port', flag: 'port', type: 'integer', min: 1, max: 65535, default: 3000,
+        description: 'HTTP port for peers and clients, can also be given as the first argument' },
+    { key: 'network.peers', flag: 'peers', type: 'list', default: [],
+        description: 'Bootstrap peers as ip:port (--peer=ip:port for a single one)' },
+    { key: 'network.localhost', flag: 'localhost', type: 'boolean', default: false,
+        description: 'Advertise 127.0.0.1 as our address, for nodes that all run on this machine' },
+    { key: 'network.advertiseAddr', flag: 'advertise-addr', type: 'string', default: null,
+        check: checkAdvertiseAddress,
+        description: 'Address peers should reach us at, instead of discovering it (see address.mjs)' },
+    { key: 'network.addressLookupUrl', flag: 'address-lookup-url', type: 'string', default: null,
+        check: checkUrl,
+        description: 'Service answering with our public IP (e.g. https://api.ipify.org), asked if we have no public interface address' },
+    { key: 'network.peerExchangeInterval', flag: 'peer-exchange-interval', type: 'seconds', default: networkParams.peerExchangeInterval / 1000,
+        description: 'Time between peer list exchanges' },
+    { key: 'network.peerTimeout', flag: 'peer-timeout', type: 'seconds', default: networkParams.peerTimeout / 1000,
+        description: 'Peers not heard from for this long are dropped' },
+    { key: 'network.maxInternalConnections', flag: 'max-internal-connections', type: 'integer', min: 1, default: networkParams.maxInternalConnections,
+        description: 'Outgoing connections to peers in our own group' },
+    { key: 'network.maxExternalConnections', flag: 'max-external-connections', type: 'integer', min: 1, default: networkParams.maxExternalConnections,
+        description: 'Outgoing connections to peers in other groups' },
+    { key: 'network.syncInterval', flag: 'sync-interval', type: 'seconds', default: 30,
+        description: 'Time between inventory syncs with our peers' },
+
+    { key: 'consensus.blockSubsidy', flag: 'block-subsidy', type: 'integer', min: 0, default: consensusParams.initialSubsidy,
+        description: 'Coins paid for a block before the first halving' },
+    { key: 'consensus.halvingInterval', flag: 'halving-interval', type: 'integer', min: 1, default: consensusParams.halvingInterval,
+        description: 'Blocks between subsidy halvings' },
+    { key: 'consensus.initialDifficulty', flag: 'initial-difficulty', type: 'integer', min: consensusParams.minDifficulty, max: 256, default: consensusParams.initialDifficulty,
+        description: 'Leading zero bits required of the first blocks' },
+    { key: 'consensus.retargetInterval', flag: 'retarget-interval', type: 'integer', min: 1, default: consensusParams.retargetInterval,
+        description: 'Blocks between difficulty adjustments' },
+    { key: 'consensus.targetBlockTime', flag: 'target-block-time', type: 'seconds', default: consensusParams.targetBlockTime / 1000,
+        description: 'Wanted time between blocks' },
+
+    { key: 'mining.maxBlockTransactions', flag: 'max-block-transactions', type: 'integer', min: 1, default: 10,
+        description: 'Pending transactions picked for a new block' },
+    { key: 'mining.enabled', flag: 'mine', type: 'boolean', default: false,
+        description: 'Start the built-in miner with the node (see mining.mjs)' },
+    { key: 'mining.threads', flag: 'mining-threads', type: 'integer', min: 1, max: MAX_MINING_THREADS, default: 1,
+        description: 'Worker threads the built-in miner hashes on' },
+    { key: 'mining.address', flag: 'mining-address', type: 'string', default: null,
+        check: checkMiningAddress,
+        description: 'Receiver of the block subsidy and fees of mined blocks (default our node id)' },
+
+    { key: 'pool.enabled', flag: 'pool', type: 'boolean', default: false,
+        description: 'Run a mining pool for pool-miner.mjs workers (see pool.mjs)' },
+    { key: 'pool.shareDifficulty', flag: 'pool-share-difficulty', type: 'integer', min: 1, max: 256, default: 16,
+        description: 'Leading zero bits a share needs, at most the network difficulty' },
+    { key: 'pool.window', flag: 'pool-window', type: 'integer', min: 1, default: 1000,
+        description: 'Last shares a block reward is split between (N of PPLNS)' },
+    { key: 'pool.payoutConfirmations', flag: 'pool-payout-confirmations', type: 'integer', min: 0, default: 3,
+        description: 'Blocks on top of a found block before its reward is paid out' },
+
+    { key: 'storage.dataDir', flag: 'data-dir', type: 'string', default: null,
+        description: 'Directory for the chain, peers and bans (default data/node-<port>)' },
+    { key: 'storage.keyFile', flag: 'key-file', type: 'string', default: null,
+        description: 'Node key file (default <dataDir>/node-key.json)' },
+
+    { key: 'api.maxBodySize', flag: 'max-body-size', type: 'integer', min: 1024, default: 1024 * 1024,
+        description: 'Largest accepted POST body in bytes' },
+    { key: 'api.requestTimeout', flag: 'request-timeout', type: 'seconds', default: 30,
+        description: 'Time a client has to send a whole request' },
+    { key: 'api.rateLimits', flag: 'rate-limits', type: 'string', default: '',
+        check: checkRateLimits,
+        description: 'Rate limits per route class as class:burst/perSecond,... (e.g. heavy:10/2)' },
+    { key: 'api.adminToken', flag: 'admin-token', type: 'string', default: null, secret: true,
+        description: 'POST /send, /bans and /mining/* need "Authorization: Bearer <token>"; without a token they only answer requests from this machine' }
+];
+
+// Flags that are another name for a setting
+const FLAG_ALIASES = {
+    peer: 'peers'
+};
+
+// Build the configuration from defaults, the config file (--config= or DL_CONFIG), environment and flags.
+// Returns { config, sources, errors }: sources tells where each setting came from, errors lists everything
+// that is wrong so all of it can be fixed at once
+export function loadConfig(args, env = process.env) {
+    const values = {}; // key -> { value, source }
+    const errors = [];
+    CONFIG_OPTIONS.forEach(option => values[option.key] = { value: option.default, source: 'default' });
+
+    const { flags, positional } = parseArgs(args, errors);
+    const configFile = flags.config || env[`${ENV_PREFIX}CONFIG`];
+    delete flags.config;
+
+    if (configFile) {
+        readConfigFile(configFile, values, errors);
+    }
+
+    for (const option of CONFIG_OPTIONS) {
+        const name = getEnvName(option);
+        if (env[name] !== undefined) {
+            setValue(values, option, env[name], `env ${name}`, errors);
+        }
+    }
+
+    if (positional.length > 1) {
+        errors.push(`unexpected arguments ${positional.slice(1).join(' ')}`);
+    }
+    if (positional.length > 0) {
+        setValue(values, getOption('network.port'), positional[0], 'argument', errors);
+    }
+    for (const [flag, value] of Object.entries(flags)) {
+        const option = CONFIG_OPTIONS.find(o => o.flag === (FLAG_ALIASES[flag] || flag));
+        if (!option) {
+            errors.push(`unknown option --${flag} (see --help)`);
+            continue;
+        }
+        setValue(values, option, value, `--${flag}`, errors);
+    }
+
+    // Paths that default to something depending on other settings
+    if (values['storage.dataDir'].value === null) {
+        values['storage.dataDir'].value = path.join('data', `node-${values['network.port'].value}`);
+    }
+    if (values['storage.keyFile'].value === null) {
+        values['storage.keyFile'].value = path.join(values['storage.dataDir'].value, 'node-key.json');
+    }
+
+    const config = {};
+    const sources = {};
+    for (const [key, { value, source }] of Object.entries(values)) {
+        const [section, name] = key.split('.');
+        config[section] = config[section] || {};
+        config[section][name] = value;
+        sources[key] = source;
+    }
+    return { config, sources, configFile: configFile || null, errors };
+}
+
+// The configuration with secrets replaced, for GET /config and the startup log
+export function getRedactedConfig(config) {
+    const redacted = JSON.parse(JSON.stringify(config));
+    for (const option of CONFIG_OPTIONS.filter(o => o.secret)) {
+        const [section, name] = option.key.split('.');
+        if (redacted[section][name] !== null && redacted[section][name] !== '') {
+            redacted[section][name] = REDACTED;
+        }
+    }
+    return redacted;
+}
+
+export function getUsage() {
+    const lines = [
+        'Usage: node index.mjs [port] [--option=value ...]',
+        '',
+        'Settings are read from the defaults, a config file (--config=path or DL_CONFIG, .json or .yaml),',
+        'environment variables and flags, each overriding the ones before.',
+        ''
+    ];
+    let section = null;
+    for (const option of CONFIG_OPTIONS) {
+        const [optionSection] = option.key.split('.');
+        if (optionSection !== section) {
+            section = optionSection;
+            lines.push(`${section}:`);
+        }
+        const flag = option.type === 'boolean' ? `--${option.flag}` : `--${option.flag}=<${option.type}>`;
+        const defaultValue = option.default === null || option.default === '' || (Array.isArray(option.default) && option.default.length === 0)
+            ? '' : ` (default ${option.default})`;
+        lines.push(`  ${flag.padEnd(40)} ${option.description}${defaultValue}`);
+        lines.push(`  ${''.padEnd(40)} ${option.key}, ${getEnvName(option)}`);
+    }
+    return lines.join('\n');
+}
+
+function getOption(key) {
+    return CONFIG_OPTIONS.find(option => option.key === key);
+}
+
+function getEnvName(option) {
+    return ENV_PREFIX + option.flag.toUpperCase().replace(/-/g, '_');
+}
+
+// --name=value and --name (true) flags, anything else is positional
+function parseArgs(args, errors) {
+    const flags = {};
+    const positional = [];
+    for (const arg of args) {
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const separator = arg.indexOf('=');
+        const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+        if (name in flags) {
+            errors.push(`--${name} is given more than once`);
+        }
+        flags[name] = separator === -1 ? true : arg.slice(separator + 1);
+    }
+    return { flags, positional };
+}
+
+function readConfigFile(file, values, errors) {
+    let settings;
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        settings = /\.ya?ml$/i.test(file) ? parseYaml(text) : JSON.parse(text);
+    } catch (error) {
+        errors.push(`cannot read config file ${file}: ${error.message}`);
+        return;
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        errors.push(`config file ${file} has to contain sections like "network:" or "api:"`);
+        return;
+    }
+
+    for (const [section, sectionSettings] of Object.entries(settings)) {
+        if (!sectionSettings || typeof sectionSettings !== 'object' || Array.isArray(sectionSettings)) {
+            errors.push(`${section} in ${file} has to be a section with settings`);
+            continue;
+        }
+        for (const [name, value] of Object.entries(sectionSettings)) {
+            const option = getOption(`${section}.${name}`);
+            if (!option) {
+                errors.push(`unknown setting ${section}.${name} in ${file}`);
+                continue;
+            }
+            setValue(values, option, value, file, errors);
+        }
+    }
+}
+
+// Convert and check a value for an option, strings come from the environment and flags
+function setValue(values, option, value, source, errors) {
+    const { value: converted, error } = convertValue(option, value);
+    const problem = error || (option.check && option.check(converted));
+    if (problem) {
+        const shown = option.secret ? REDACTED : JSON.stringify(value);
+        errors.push(`${option.key} from ${source}: ${problem}, got ${shown}`);
+        return;
+    }
+    values[option.key] = { value: converted, source };
+}
+
+function convertValue(option, value) {
+    switch (option.type) {
+        case 'integer': {
+            const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? parseInt(value) : value;
+            if (!Number.isInteger(number)) {
+                return { error: 'must be a whole number' };
+            }
+            if (option.min !== undefined && number < option.min) {
+                return { error: `must be at least ${option.min}` };
+            }
+            if (option.max !== undefined && number > option.max) {
+                return { error: `must be at most ${option.max}` };
+            }
+            return { value: number };
+        }
+        case 'seconds': {
+            const number = typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim()) ? parseFloat(value) : value;
+            if (typeof number !== 'number' || !(number > 0) || !Number.isFinite(number)) {
+                return { error: 'must be a positive number of seconds' };
+            }
+            return { value: number };
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return { value };
+            const text = String(value).toLowerCase();
+            if (['true', '1', 'yes'].includes(text)) return { value: true };
+            if (['false', '0', 'no'].includes(text)) return { value: false };
+            return { error: 'must be true or false' };
+        }
+        case 'list': {
+            if (typeof value === 'string') {
+                return { value: value.split(',').map(item => item.trim()).filter(Boolean) };
+            }
+            if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+                return { value };
+            }
+            return { error: 'must be a list of strings' };
+        }
+        case 'string':
+            if (typeof value !== 'string' && value !== null) {
+                return { error: 'must be a string' };
+            }
+            return { value };
+    }
+    return { error: `has unknown type ${option.type}` };
+}
+
+// An IPv4 address or a host name; peers put it into http://<address>:<port> URLs
+function checkAdvertiseAddress(address) {
+    if (address === null || net.isIPv4(address) || /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i.test(address)) {
+        return null;
+    }
+    return 'must be an IPv4 address or a host name';
+}
+
+function checkUrl(url) {
+    if (url === null) return null;
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol) ? null : 'must be an http or https URL';
+    } catch (error) {
+        return 'must be a URL';
+    }
+}
+
+function checkMiningAddress(address) {
+    return address === null || isValidAddress(address) ? null : 'must be an address (32 hex characters)';
+}
+
+function checkRateLimits(text) {
+    try {
+        parseRateLimits(text);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Enough YAML for a config file: nested sections by indentation, key: value pairs, lists ("- item" lines or
+// [a, b]), quoted strings, numbers, true/false, null and # comments. Throws with the line number on anything else
+export function parseYaml(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = stripYamlComment(raw).trimEnd();
+        if (line.trim() === '') return;
+        const indentation = line.match(/^\s*/)[0];
+        if (indentation.includes('\t')) {
+            throw new Error(`line ${i + 1}: use spaces, not tabs, for indentation`);
+        }
+        lines.push({ indent: indentation.length, text: line.trim(), number: i + 1 });
+    });
+    if (lines.length === 0) {
+        return {};
+    }
+
+    const [value, next] = parseYamlBlock(lines, 0, lines[0].indent);
+    if (next < lines.length) {
+        throw new Error(`line ${lines[next].number}: unexpected indentation`);
+    }
+    return value;
+}
+
+function isListItem(text) {
+    return text === '-' || text.startsWith('- ');
+}
+
+// Parse the lines at one indentation into a map or list. Returns [value, index of the first line after it]
+function parseYamlBlock(lines, start, indent) {
+    const isList = isListItem(lines[start].text);
+    const result = isList ? [] : {};
+    let i = start;
+
+    while (i < lines.length && lines[i].indent === indent) {
+        const { text, number } = lines[i];
+        if (isList) {
+            if (!isListItem(text)) break; // A list under a key may sit at the key's own indentation
+            result.push(parseYamlScalar(text.slice(1).trim(), number));
+            i++;
+            continue;
+        }
+
+        const match = text.match(/^([\w.-]+)\s*:(?:\s+(.*))?$/);
+        if (!match) {
+            throw new Error(`line ${number}: expected "key: value"`);
+        }
+        const [, key, rest] = match;
+        if (key in result) {
+            throw new Error(`line ${number}: ${key} is given twice`);
+        }
+
+        const next = lines[i + 1];
+        if (rest !== undefined && rest !== '') {
+            result[key] = parseYamlScalar(rest, number);
+            i++;
+        } else if (next && (next.indent > indent || (next.indent === indent && isListItem(next.text)))) {
+            [result[key], i] = parseYamlBlock(lines, i + 1, next.indent);
+        } else {
+            result[key] = null;
+            i++;
+        }
+    }
+
+    if (i < lines.length && lines[i].indent > indent) {
+        throw new Error(`line ${lines[i].number}: unexpected indentation`);
+    }
+    return [result, i];
+}
+
+function parseYamlScalar(text, number) {
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`line ${number}: invalid double quoted string`);
+        }
+    }
+    if (text.startsWith("'")) {
+        if (text.length < 2 || !text.endsWith("'")) {
+            throw new Error(`line ${number}: unterminated single quoted string`);
+        }
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (text.startsWith('[')) {
+        if (!text.endsWith(']')) {
+            throw new Error(`line ${number}: unterminated list`);
+        }
+        const inner = text.slice(1, -1).trim();
+        return inner === '' ? [] : inner.split(',').map(item => parseYamlScalar(item.trim(), number));
+    }
+    if (text === 'true' || text === 'false') {
+        return text === 'true';
+    }
+    if (text === 'null' || text === '~') {
+        return null;
+    }
+    if (/^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+        return Number(text);
+    }
+    return text;
+}
+
+// Drop a # comment, unless the # is inside quotes or part of a word
+function stripYamlComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
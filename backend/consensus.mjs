@@ -0,0 +1,179 @@
+// consensus.mjs
+// Chain parameters and rules shared by the node and the miner.
+// Every node on a network has to use the same values.
+import crypto from 'crypto';
+
+export const consensusParams = {
+    initialSubsidy: 50, // Coins paid to the miner of every block before the first halving
+    halvingInterval: 100, // Number of blocks between subsidy halvings
+    initialDifficulty: 16, // Leading zero bits required of a block hash (16 bits = "0000" prefix)
+    minDifficulty: 8,
+    retargetInterval: 10, // Difficulty is recomputed every this many blocks
+    targetBlockTime: 30000, // Wanted time between blocks in milliseconds
+    maxAdjustment: 2 // Difficulty changes by at most this many bits (factor 4) per retarget
+};
+
+const MAX_FUTURE_BLOCK_TIME = 2 * 60 * 60 * 1000; // Blocks may be at most 2 hours ahead of our clock
+export const MEDIAN_TIME_SPAN = 11; // Blocks must be later than the median time of this many blocks before them
+
+export function configureConsensus(overrides = {}) {
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined) {
+            consensusParams[key] = value;
+        }
+    }
+}
+
+// Block subsidy for a height: halves every halvingInterval blocks until it reaches 0
+export function getBlockSubsidy(height) {
+    const halvings = Math.floor(height / consensusParams.halvingInterval);
+    return Math.floor(consensusParams.initialSubsidy / 2 ** halvings);
+}
+
+// Fees are optional; a transaction without one pays nothing to the block creator
+export function getTransactionFee(tx) {
+    return tx.fee || 0;
+}
+
+// Amounts and fees are whole coins. Anything else is refused: a string would be concatenated to the balances
+// instead of added, and fractions would leave rounding errors in them. Returns what is wrong, or null
+export function checkTransactionAmounts(tx) {
+    if (!Number.isSafeInteger(tx.amount) || tx.amount <= 0) {
+        return `amount must be a positive integer, got ${JSON.stringify(tx.amount)}`;
+    }
+    if (tx.fee !== undefined && (!Number.isSafeInteger(tx.fee) || tx.fee < 0)) {
+        return `fee must be a non-negative integer, got ${JSON.stringify(tx.fee)}`;
+    }
+    return null;
+}
+
+export function isCoinbase(tx) {
+    return Boolean(tx) && tx.type === 'coinbase';
+}
+
+// The coinbase is the first transaction of a block and creates the block subsidy out of nothing.
+// It has no sender, nonce or signature; the block's proof-of-work is what authorises it
+export function createCoinbaseTransaction(receiver, height, previousHash) {
+    const id = 'coinbase_' + crypto.createHash('sha256')
+        .update(`${previousHash}:${height}:${receiver}`)
+        .digest('hex')
+        .slice(0, 16);
+
+    return {
+        id,
+        type: 'coinbase',
+        receiver,
+        amount: getBlockSubsidy(height),
+        height
+    };
+}
+
+// The block hash covers the header only: every field except the transactions (and the hash itself).
+// The transactions are committed to through merkleRoot, so a header is enough to check a Merkle proof
+export function getBlockHeader(block) {
+    const { hash, transactions, ...header } = block;
+    return header;
+}
+
+// Hash of block's header for any nonce, for miners trying many of them. The nonce is a string inside the header,
+// so the JSON is split around it once instead of stringifying the whole header for every try
+export function createHeaderHasher(block) {
+    const placeholder = '__nonce__';
+    const [before, after] = JSON.stringify({ ...getBlockHeader(block), nonce: placeholder }).split(`"${placeholder}"`);
+    return nonce => crypto.createHash('sha256').update(`${before}${JSON.stringify(nonce)}${after}${nonce}`).digest('hex');
+}
+
+// A hash meets a difficulty of n when it is below 2^(256 - n), i.e. it starts with n zero bits
+export function hashMeetsDifficulty(hash, difficulty) {
+    if (!/^[0-9a-f]{64}$/.test(hash) || !Number.isInteger(difficulty) || difficulty < 0 || difficulty > 256) {
+        return false;
+    }
+    return BigInt('0x' + hash) < 2n ** BigInt(256 - difficulty);
+}
+
+// Try the nonces prefix + start, prefix + (start + 1), ... until a hash meets difficulty, at most maxTries of them.
+// Returns the nonce and hash found (null if none) and the number of nonces tried. Used by miner.mjs and pool-miner.mjs
+export function searchNonce(block, difficulty, { prefix = '', start = 1, maxTries = Infinity } = {}) {
+    const hashHeader = createHeaderHasher(block);
+    const zeroDigits = '0'.repeat(Math.floor(difficulty / 4)); // Cheap test first, most hashes fail it
+    for (let i = 0; i < maxTries; i++) {
+        const nonce = `${prefix}${start + i}`;
+        const hash = hashHeader(nonce);
+        if (hash.startsWith(zeroDigits) && hashMeetsDifficulty(hash, difficulty)) {
+            return { nonce, hash, tries: i + 1 };
+        }
+    }
+    return { nonce: null, hash: null, tries: maxTries };
+}
+
+// The highest hash that meets a difficulty, as 64 hex digits like the hashes themselves
+export function getDifficultyTarget(difficulty) {
+    return (2n ** BigInt(256 - difficulty) - 1n).toString(16).padStart(64, '0');
+}
+
+// Expected number of hashes needed to find a block: a difficulty of n bits takes 2^n tries on average.
+// Chains are compared by the sum of this over their blocks, not by their length
+export function getBlockWork(block) {
+    return 2n ** BigInt(block.difficulty ?? consensusParams.initialDifficulty);
+}
+
+export function getBlockTime(block) {
+    return new Date(block.timestamp).getTime();
+}
+
+// A block's time must be a valid date at most 2 hours ahead of our clock and, when its parent is given, later
+// than the median time past of the parent. Without the lower bound a miner could date blocks far back to make
+// the retarget think blocks are slow and lower the difficulty (time-warp). getBlock as in getNextDifficulty
+export function isValidBlockTime(block, parent = null, getBlock = null) {
+    const time = getBlockTime(block);
+    if (!Number.isFinite(time) || time > Date.now() + MAX_FUTURE_BLOCK_TIME) {
+        return false;
+    }
+    return !parent || time > getMedianTimePast(parent, getBlock);
+}
+
+// Median time of the last MEDIAN_TIME_SPAN blocks of the chain ending in `block` (fewer near genesis). Unlike
+// the time of a single block, a miner can't move it by much
+export function getMedianTimePast(block, getBlock) {
+    const times = [];
+    for (let current = block; current && times.length < MEDIAN_TIME_SPAN; current = current.isGenesis ? null : getBlock(current.previousHash)) {
+        times.push(getBlockTime(current));
+    }
+    times.sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+}
+
+// Difficulty required of a block built on `parent` at height parentHeight + 1.
+// Every retargetInterval blocks the difficulty is adjusted so that the last retargetInterval
+// blocks of this chain would have taken targetBlockTime each; otherwise it stays the parent's.
+// getBlock looks up a block (or header) by hash so this works for any branch of the tree
+export function getNextDifficulty(parent, parentHeight, getBlock) {
+    const parentDifficulty = parent.difficulty ?? consensusParams.initialDifficulty;
+    if ((parentHeight + 1) % consensusParams.retargetInterval !== 0) {
+        return parentDifficulty;
+    }
+
+    // Walk back up to retargetInterval blocks along the parent's own chain
+    let first = parent;
+    let intervals = 0;
+    while (intervals < consensusParams.retargetInterval && !first.isGenesis) {
+        const previous = getBlock(first.previousHash);
+        if (!previous) break;
+        first = previous;
+        intervals++;
+    }
+    if (intervals === 0) {
+        return parentDifficulty;
+    }
+
+    const expectedTime = intervals * consensusParams.targetBlockTime;
+    const actualTime = Math.max(getBlockTime(parent) - getBlockTime(first), 1);
+
+    // Each extra bit doubles the work, so adjust by log2 of how far off we were
+    const adjustment = Math.max(
+        -consensusParams.maxAdjustment,
+        Math.min(consensusParams.maxAdjustment, Math.round(Math.log2(expectedTime / actualTime)))
+    );
+
+    return Math.max(consensusParams.minDifficulty, Math.min(256, parentDifficulty + adjustment));
+}
@@ -0,0 +1,95 @@
+// events.mjs
+// Events about what changes in the node (new blocks, head changes, reorgs, transactions, peers), pushed to
+// clients like the visualizer over Server-Sent Events (GET /events) or a WebSocket, so they don't have to poll
+export const EVENT_TYPES = [
+    'block.added',    // A block was stored, on the main chain or a fork
+    'head.changed',   // The main chain has a new head
+    'reorg',          // The new head is not a descendant of the old one: blocks were rolled back
+    'tx.added',       // A transaction entered the pending pool
+    'tx.confirmed',   // A transaction was included in a block of the main chain
+    'peer.connected', // Outgoing connection to a peer established
+    'peer.removed'    // A peer was removed or its connection lost
+];
+
+const RECENT_EVENTS = 100; // Kept to replay what a reconnecting client missed (Last-Event-ID)
+const KEEPALIVE_INTERVAL = 15000; // Comment lines keep idle streams open through proxies
+export const MAX_EVENT_CLIENTS = 100;
+
+// Check an event filter ("block.added,reorg" or "tx" for all tx.* events). Returns the reason it is invalid, or null
+export function checkEventFilter(types) {
+    const unknown = types.filter(filter => !EVENT_TYPES.some(type => matchesFilter(type, filter)));
+    return unknown.length > 0 ? `unknown event types ${unknown.join(', ')}, expected ${EVENT_TYPES.join(', ')}` : null;
+}
+
+function matchesFilter(type, filter) {
+    return type === filter || type.startsWith(`${filter}.`);
+}
+
+class NodeEvents {
+    constructor() {
+        this.nextId = 1;
+        this.recent = [];
+        this.subscribers = new Set(); // { types, send }
+    }
+
+    publish(type, data) {
+        const event = { id: this.nextId++, type, time: Date.now(), data };
+        this.recent.push(event);
+        if (this.recent.length > RECENT_EVENTS) {
+            this.recent.shift();
+        }
+
+        for (const subscriber of this.subscribers) {
+            if (subscriber.types.length === 0 || subscriber.types.some(filter => matchesFilter(type, filter))) {
+                subscriber.send(event);
+            }
+        }
+    }
+
+    // Call send for every event matching types (all events if empty), starting after event lastEventId
+    // if given. Returns a function that ends the subscription
+    subscribe(types, send, lastEventId = null) {
+        const subscriber = { types, send };
+        if (Number.isInteger(lastEventId)) {
+            this.recent
+                .filter(event => event.id > lastEventId)
+                .filter(event => types.length === 0 || types.some(filter => matchesFilter(event.type, filter)))
+                .forEach(send);
+        }
+        this.subscribers.add(subscriber);
+        return () => this.subscribers.delete(subscriber);
+    }
+
+    getClientCount() {
+        return this.subscribers.size;
+    }
+
+    // Answer GET /events with a stream that stays open until the client goes away
+    streamToClient(req, res, types) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write('retry: 3000\n\n'); // Reconnect delay for EventSource
+
+        const lastEventId = parseInt(req.headers['last-event-id']);
+        const unsubscribe = this.subscribe(types, event => {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }, Number.isNaN(lastEventId) ? null : lastEventId);
+
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+        req.on('close', () => {
+            clearInterval(keepalive);
+            unsubscribe();
+        });
+    }
+
+    // The same events as JSON text messages over a WebSocket (upgrade of GET /events)
+    streamToWebSocket(connection, types) {
+        const unsubscribe = this.subscribe(types, event => connection.send(JSON.stringify(event)));
+        connection.on('close', unsubscribe);
+    }
+}
+
+export const nodeEvents = new NodeEvents();
@@ -0,0 +1,58 @@
+// handshake.mjs
+// The first message two nodes exchange (POST /register and POST /handshake). It tells the other side which
+// protocol version we speak, which network we are on and what we support, so incompatible nodes never connect
+import crypto from 'crypto';
+
+// Version 2 signs the handshake and encrypts the links, version 1 nodes can't connect to us any more
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 2; // Oldest version we can still talk to
+
+// Optional parts of the protocol. A feature is only used with a peer that advertised it too
+export const FEATURES = [
+    'headers',      // Headers-first sync: GET /headers and GET /getblocks?hashes=
+    'announce',     // Propagation by POST /announce and POST /getdata
+    'merkle-proof', // GET /proof
+    'websocket'     // Messages over a WebSocket link (GET /p2p upgrade)
+];
+
+// The network is identified by its genesis block, so nodes of different test networks refuse each other.
+// A node that has no chain yet has no network id and can join any network
+export function getNetworkId(genesisHash) {
+    if (!genesisHash) return null;
+    return crypto.createHash('sha256').update(`network:${genesisHash}`).digest('hex').slice(0, 16);
+}
+
+export function createHandshake(nodeId, { genesisHash, bestHeight }) {
+    return {
+        nodeId,
+        version: PROTOCOL_VERSION,
+        networkId: getNetworkId(genesisHash),
+        bestHeight,
+        features: FEATURES
+    };
+}
+
+// Check a handshake from a peer against our own. Returns the reason to refuse it, or null if it is fine
+export function checkHandshake(remote, local) {
+    if (!remote || typeof remote !== 'object') {
+        return 'no handshake';
+    }
+    if (!Number.isInteger(remote.version)) {
+        return 'no protocol version';
+    }
+    if (remote.version < MIN_PROTOCOL_VERSION) {
+        return `protocol version ${remote.version} is too old (need at least ${MIN_PROTOCOL_VERSION})`;
+    }
+    if (remote.networkId && local.networkId && remote.networkId !== local.networkId) {
+        return `different network ${remote.networkId} (we are on ${local.networkId})`;
+    }
+    if (!Array.isArray(remote.features)) {
+        return 'no feature list';
+    }
+    return null;
+}
+
+// The features both sides support
+export function negotiateFeatures(remoteFeatures) {
+    return FEATURES.filter(feature => Array.isArray(remoteFeatures) && remoteFeatures.includes(feature));
+}
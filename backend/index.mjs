@@ -1,42 +1,108 @@
 // index.mjs
 import http from 'http';
 import crypto from 'crypto';
-import { bootstrap, addPeer, getActivePeers, getActiveConnections, cleanupPeers, startPeerExchange, PEER_TIMEOUT, handleSync } from './network.mjs';
+import { bootstrap, addPeer, getActivePeers, getActiveConnections, cleanupPeers, startPeerExchange, networkParams, configureNetwork, handleSync, loadSavedPeers, reconnectSavedPeers, savePeers, getPeer, getMisbehaviorScores, removeBannedPeers, setChainInfoProvider, setMessageLimiter, getLocalHandshake, answerHandshake, setNodeWallet, acceptPeerSocket, onPeerMessage, onPeerRequest, sendToPeer, getPeerTransport } from './network.mjs';
 import { inventory, handleInventorySync } from './inventory.mjs';
+import { loadOrCreateWallet, signTransaction, isValidAddress } from './wallet.mjs';
+import { BlockStore } from './storage.mjs';
+import { banList } from './bans.mjs';
+import { checkHandshake, negotiateFeatures } from './handshake.mjs';
+import { checkTransactionAmounts, configureConsensus, getBlockSubsidy, getDifficultyTarget, getTransactionFee, isCoinbase } from './consensus.mjs';
+import { MAX_BLOCKS_PER_REQUEST, MAX_HEADERS_PER_REQUEST } from './sync.mjs';
+import { RateLimiter, getMessageClass, getRouteClass, getRpcMethodClass, parseRateLimits } from './ratelimit.mjs';
+import { nodeEvents, checkEventFilter, MAX_EVENT_CLIENTS } from './events.mjs';
+import { acceptWebSocket } from './websocket.mjs';
+import { RPC_ERRORS, RpcError, registerRpcMethod, handleRpcRequest, createError } from './rpc.mjs';
+import { loadConfig, getRedactedConfig, getUsage } from './config.mjs';
+import { addressManager } from './address.mjs';
+import { miningService, MAX_MINING_THREADS } from './mining.mjs';
+import { miningPool } from './pool.mjs';
+import path from 'path';
 
-const port = process.argv[2] || 3000;
-let publicIp = null; // Don't set a default - force getting a real IP
+let publicIp = null; // The address we advertise to peers, set by the address discovery once the server is up
 
 function generateNodeId(ip, port) {
     const data = `${ip}:${port}`;
     return crypto.createHash('sha256').update(data).digest('hex').slice(0, 32);
 }
 
-// Parse CLI arguments
+// Settings from the defaults, config file, environment and CLI flags (see config.mjs and --help)
 const args = process.argv.slice(2);
-// Support both peer and peers parameters (peer for single bootstrap node, peers for multiple)
-let initialPeers = [];
-const peerArg = args.find(a => a.startsWith('--peer='));
-const peersArg = args.find(a => a.startsWith('--peers='));
-const useLocalhost = args.includes('--localhost');
-
-if (peerArg) {
-    // Single bootstrap peer
-    const peerAddress = peerArg.split('=')[1];
-    if (peerAddress) initialPeers.push(peerAddress);
-} else if (peersArg) {
-    // Multiple peers format
-    initialPeers = peersArg.split('=')[1]?.split(',') || [];
+if (args.includes('--help')) {
+    console.log(getUsage());
+    process.exit(0);
 }
+const { config, sources, configFile, errors: configErrors } = loadConfig(args);
+if (configErrors.length > 0) {
+    console.error(`Invalid configuration:\n${configErrors.map(error => `  - ${error}`).join('\n')}`);
+    process.exit(1);
+}
+console.log(`Configuration${configFile ? ` (with ${configFile})` : ''}:`, JSON.stringify(getRedactedConfig(config)));
+
+const port = config.network.port;
+const initialPeers = config.network.peers;
+const dataDir = config.storage.dataDir;
+
+// The node's keypair is its identity: nodeId is the address derived from the public key,
+// so only this node can sign transactions spending the coins credited to it
+const wallet = loadOrCreateWallet(config.storage.keyFile);
+const nodeId = wallet.address;
+inventory.nodeId = nodeId;
+inventory.nodePort = port;
+inventory.maxBlockTransactions = config.mining.maxBlockTransactions;
+inventory.setSyncInterval(config.network.syncInterval * 1000);
+miningService.configure({ address: config.mining.address || nodeId, threads: config.mining.threads });
+miningPool.configure({
+    wallet,
+    shareDifficulty: config.pool.shareDifficulty,
+    window: config.pool.window,
+    payoutConfirmations: config.pool.payoutConfirmations
+});
+
+// Money supply and difficulty schedule, must be the same on every node of the network
+configureConsensus({
+    initialSubsidy: config.consensus.blockSubsidy,
+    halvingInterval: config.consensus.halvingInterval,
+    initialDifficulty: config.consensus.initialDifficulty,
+    retargetInterval: config.consensus.retargetInterval,
+    targetBlockTime: config.consensus.targetBlockTime * 1000
+});
+configureNetwork({
+    peerExchangeInterval: config.network.peerExchangeInterval * 1000,
+    peerTimeout: config.network.peerTimeout * 1000,
+    maxInternalConnections: config.network.maxInternalConnections,
+    maxExternalConnections: config.network.maxExternalConnections
+});
+
+// Reload the chain saved by a previous run before we start talking to peers
+inventory.attachStorage(new BlockStore(dataDir));
+banList.load(path.join(dataDir, 'bans.json'));
+setChainInfoProvider(() => inventory.getChainInfo());
+setNodeWallet(wallet);
+
 
-const nodeId = crypto.randomBytes(16).toString('hex');
+// Limits that keep a single client from exhausting the node's memory or CPU
+const maxBodySize = config.api.maxBodySize;
+const requestTimeout = config.api.requestTimeout * 1000;
+const rateLimiter = new RateLimiter(parseRateLimits(config.api.rateLimits));
+// Messages over WebSocket links take from the same buckets as the HTTP routes with the same bodies,
+// request messages from the bucket of the GET route they ask for
+setMessageLimiter((peerId, type, data) => rateLimiter.take(peerId, getMessageClass(type, data)).allowed);
 
+// Routes that spend the node's coins, change its ban list or use its CPU for mining: they need api.adminToken,
+// or without one a request from this machine that doesn't come from a web page (see isAdminRequest)
+const ADMIN_ROUTES = ['/send', '/bans', '/mining/start', '/mining/stop'];
 
-const server = http.createServer(async (req, res) => {
+const server = http.createServer({
+    // Slow clients: the headers and the whole request have to arrive in time, otherwise Node answers 408
+    headersTimeout: Math.min(10000, requestTimeout),
+    requestTimeout,
+    connectionsCheckingInterval: 1000
+}, async (req, res) => {
     // handle CORS for visualizer
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Node-Id');
 
     if (req.method === 'OPTIONS') {
         res.writeHead(200);
@@ -44,19 +110,37 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
+    // Refuse banned nodes, by the address the request comes from or the node id it claims
+    if (banList.isBanned(getRemoteIp(req)) || banList.isBanned(req.headers['x-node-id'])) {
+        return sendError(res, 403, 'Banned');
+    }
+
     const url = new URL(req.url, `http://${req.headers.host}`);
     const path = url.pathname;
 
+    // Known peers are limited by node id, everyone else by IP address
+    const client = getRequestPeer(req)?.id || getRemoteIp(req);
+    const { allowed, retryAfter } = rateLimiter.take(client, getRouteClass(req.method, path));
+    if (!allowed) {
+        res.setHeader('Retry-After', retryAfter);
+        return sendError(res, 429, 'Too many requests');
+    }
+
     try {
         if (req.method === 'GET') {
             switch(path) {
                 case '/status':
                     const allPeers = getActivePeers();
                     const activeConns = getActiveConnections();
+                    const { version, networkId } = getLocalHandshake(nodeId);
                     return sendJSON(res, {
                         nodeId,
                         ip: publicIp,
                         port,
+                        address: addressManager.getStatus(),
+                        mining: miningService.getStatus(),
+                        version,
+                        networkId,
                         blocks: inventory.blocks.size,
                         totalPeers: allPeers.length,  // These are now the active outgoing connections
                         activeConnections: allPeers.length,  // Same as totalPeers with new definition
@@ -68,7 +152,10 @@ const server = http.createServer(async (req, res) => {
                             nodeId: p.id,
                             group: p.group,
                             ip: p.ip,
-                            port: p.port
+                            port: p.port,
+                            version: p.version,
+                            features: p.features,
+                            transport: getPeerTransport(p.id)
                         })),
                         allPeers: allPeers.map(p => ({
                             nodeId: p.id,
@@ -80,54 +167,85 @@ const server = http.createServer(async (req, res) => {
                     });
 
                 case '/peers':
-                    return sendJSON(res, getActivePeers().map(p => ({
-                        ip: p.ip,
-                        port: p.port,
-                        nodeId: p.id
-                    })));
+                    return sendJSON(res, getPeerList());
 
                 case '/inventory':
                     return sendJSON(res, inventory.getInventory());
                     
+                case '/mempool':
+                    return sendJSON(res, { transactions: inventory.getMempool() });
+
+                case '/mempool/select':
+                    // Highest paying valid set of pending transactions, in the order they go into a block
+                    const limit = parseInt(url.searchParams.get('limit')) || undefined;
+                    return sendJSON(res, { transactions: inventory.selectTransactionsForBlock(limit) });
+
+                case '/mining/template':
+                    // Block for an external miner to find the nonce of, paying ?address= (our mining address by default)
+                    const templateAddress = url.searchParams.get('address') || miningService.address;
+                    if (!isValidAddress(templateAddress)) {
+                        return sendError(res, 400, 'address must be 32 hex characters');
+                    }
+                    const template = inventory.createBlockTemplate(templateAddress);
+                    if (!template) {
+                        return sendError(res, 503, 'No blockchain head yet');
+                    }
+                    return sendJSON(res, getTemplateResponse(template));
+
+                case '/pool/work':
+                    // Work for a pool-miner.mjs worker, who says whom to pay with its shares
+                    if (!miningPool.enabled) {
+                        return sendError(res, 503, 'Mining pool not enabled, start the node with --pool');
+                    }
+                    const work = miningPool.getWork();
+                    if (!work) {
+                        return sendError(res, 503, 'No blockchain head yet');
+                    }
+                    return sendJSON(res, work);
+
+                case '/pool/stats':
+                    return sendJSON(res, miningPool.getStats());
+
                 case '/balance':
-                    return sendJSON(res, { balances: inventory.getBalances() });
+                    return sendJSON(res, { balances: inventory.getBalances(), nonces: inventory.getNonces() });
                     
                 case '/balance/' + nodeId:
                     return sendJSON(res, { 
                         nodeId: nodeId,
-                        balance: inventory.getBalance(nodeId)
+                        balance: inventory.getBalance(nodeId),
+                        nextNonce: inventory.getNextNonce(nodeId)
                     });
                     
                 case '/consensus':
-                    // Return information about the current consensus state
-                    const headBlock = inventory.getBlock(inventory.blockchainHead);
-                    const chainLength = inventory.blockHeights.get(inventory.blockchainHead) || 0;
-                    
-                    return sendJSON(res, {
-                        currentHead: inventory.blockchainHead,
-                        chainHeight: chainLength,
-                        headBlock: headBlock,
-                        totalBlocks: inventory.blocks.size,
-                        forkedBlocks: inventory.blocks.size - (chainLength + 1) // +1 for genesis
-                    });
+                    return sendJSON(res, getConsensusState());
 
                 case '/getblocks':
-                    const hash = url.searchParams.get('hash');
-                    const mainChainOnly = url.searchParams.get('mainchain') === 'true';
-                    
-                    let blocks;
-                    if (hash) {
-                        // Get specific block by hash
-                        blocks = [inventory.getBlock(hash)];
-                    } else if (mainChainOnly) {
-                        // Get only blocks in the main chain
-                        blocks = inventory.getMainChain();
-                    } else {
-                        // Get all blocks (including those in forks)
-                        blocks = inventory.getAllBlocks();
+                    return sendJSON(res, getBlocks(url.searchParams));
+
+                case '/headers':
+                    return sendJSON(res, getHeaders(url.searchParams));
+
+                case '/bans':
+                    // Current bans and the misbehaviour scores of peers that aren't banned (yet)
+                    return sendJSON(res, { bans: banList.list(), scores: getMisbehaviorScores() });
+
+                case '/proof':
+                    // Merkle inclusion proof for a confirmed transaction
+                    const proof = inventory.getTransactionProof(url.searchParams.get('tx'));
+                    if (!proof) {
+                        return sendError(res, 404, 'Transaction not found in the main chain');
                     }
-                    
-                    return sendJSON(res, blocks.filter(Boolean));
+                    return sendJSON(res, proof);
+
+                case '/config':
+                    // The settings this node runs with and where each came from, secrets left out
+                    return sendJSON(res, { config: getRedactedConfig(config), sources, configFile });
+
+                case '/events':
+                    // Server-Sent Events, optionally only some types: /events?types=block.added,reorg
+                    const eventTypes = getEventFilter(url, res);
+                    if (!eventTypes) return;
+                    return nodeEvents.streamToClient(req, res, eventTypes);
 
                 case '/ping':
                     return sendJSON(res, { status: 'alive' });
@@ -137,31 +255,154 @@ const server = http.createServer(async (req, res) => {
             }
         }
         else if (req.method === 'POST') {
+            if (ADMIN_ROUTES.includes(path) && !isAdminRequest(req)) {
+                return sendError(res, 401, 'Admin token required');
+            }
+            if (parseInt(req.headers['content-length']) > maxBodySize) {
+                return rejectLargeBody(req, res);
+            }
+
             let body = '';
-            req.on('data', chunk => body += chunk);
+            let bodySize = 0;
+            let tooLarge = false;
+            req.on('data', chunk => {
+                if (tooLarge) return;
+                bodySize += chunk.length;
+                if (bodySize > maxBodySize) {
+                    tooLarge = true; // Without Content-Length we only find out while reading
+                    body = '';
+                    return rejectLargeBody(req, res);
+                }
+                body += chunk;
+            });
 
             req.on('end', async () => {
+                if (tooLarge) return;
+                if (path === '/rpc') {
+                    return answerRpc(res, body, client);
+                }
+                if (path === '/mining/start' || path === '/mining/stop') {
+                    return answerMining(res, path, body);
+                }
                 try {
                     const data = JSON.parse(body);
+                    // nodeId in a body is the sending node's id, except in /bans where it is the node to (un)ban
+                    if (path !== '/bans' && banList.isBanned(data.nodeId)) {
+                        return sendError(res, 403, 'Banned');
+                    }
 
                     switch(path) {
                         case '/inv':
-                            const added = inventory.addTransaction(data);
+                            const added = inventory.addTransaction(data, true, getRequestPeer(req));
                             return sendJSON(res, { status: added ? 'added' : 'already_exists' });
 
+                        case '/send':
+                            // Create a transaction from this node's wallet and sign it with our key,
+                            // after checking what we are asked to sign
+                            if (!isValidAddress(data.receiver)) {
+                                return sendError(res, 400, 'receiver must be an address (32 hex characters)');
+                            }
+                            const amountError = checkTransactionAmounts(data);
+                            if (amountError) {
+                                return sendError(res, 400, amountError);
+                            }
+                            const transaction = signTransaction({
+                                id: data.id || `tx_${crypto.randomBytes(8).toString('hex')}`,
+                                receiver: data.receiver,
+                                amount: data.amount,
+                                ...(data.fee !== undefined && { fee: data.fee }),
+                                nonce: inventory.getNextNonce(nodeId),
+                                timestamp: Date.now()
+                            }, wallet);
+                            const sent = inventory.addTransaction(transaction);
+                            return sendJSON(res, { status: sent ? 'added' : 'rejected', transaction });
+
                         case '/block':
-                            const blockAdded = inventory.addBlock(data);
-                            return sendJSON(res, { status: blockAdded ? 'added' : 'already_exists' });
+                            // Missing parents of this block are fetched from the peer that sent it
+                            const blockAdded = inventory.addBlock(data, getRequestPeer(req));
+                            const blockStatus = blockAdded ? 'added' : (inventory.orphanBlocks.has(data.hash) ? 'orphan' : 'already_exists');
+                            return sendJSON(res, { status: blockStatus });
+
+                        case '/mining/submit':
+                            // A block mined on one of our templates; unlike /block the answer says why it was refused
+                            const rejection = inventory.checkSubmittedBlock(data);
+                            if (rejection) {
+                                console.log(`Submitted block rejected (${rejection.reason}): ${rejection.message}`);
+                                return sendJSON(res, { status: 'rejected', ...rejection }, 400);
+                            }
+                            const submittedHash = inventory.calculateBlockHash(data);
+                            if (!inventory.addBlock({ ...data, hash: submittedHash })) {
+                                return sendJSON(res, { status: 'rejected', reason: 'invalid', message: 'Block was not added, see the node log' }, 400);
+                            }
+                            return sendJSON(res, { status: 'accepted', hash: submittedHash, height: inventory.blockHeights.get(submittedHash) });
+
+                        case '/pool/share':
+                            if (!miningPool.enabled) {
+                                return sendError(res, 503, 'Mining pool not enabled, start the node with --pool');
+                            }
+                            const shareResult = miningPool.submitShare(data);
+                            return sendJSON(res, shareResult, shareResult.status === 'accepted' ? 200 : 400);
+
+                        case '/announce':
+                            // A peer has new blocks/transactions; we fetch the ones we miss from it with /getdata.
+                            // Peers we don't know yet are reached at the address the announcement came from. Their
+                            // node id is only claimed, so what we get from them is charged to that address instead
+                            const announcer = getRequestPeer(req, data.nodeId) || (data.nodeId && data.port ? {
+                                id: data.nodeId,
+                                ip: getRemoteIp(req),
+                                port: data.port,
+                                unverified: true
+                            } : null);
+                            if (!announcer) {
+                                return sendError(res, 400, 'Announcement needs nodeId and port');
+                            }
+                            const wanted = inventory.handleAnnouncement(data, announcer);
+                            return sendJSON(res, { status: 'ok', requested: wanted });
+
+                        case '/getdata':
+                            return sendJSON(res, inventory.getData(data));
+
+                        case '/bans':
+                            // Ban or lift the ban on a node id or IP address by hand
+                            const banTarget = data.nodeId ? ['nodeId', data.nodeId] : data.ip ? ['ip', data.ip] : null;
+                            if (!banTarget || !['ban', 'unban'].includes(data.action)) {
+                                return sendError(res, 400, 'Expected action "ban" or "unban" and a nodeId or ip');
+                            }
+                            if (data.action === 'unban') {
+                                return sendJSON(res, { status: banList.unban(banTarget[1]) ? 'unbanned' : 'not_banned' });
+                            }
+                            const ban = banList.ban(banTarget[0], banTarget[1], data.reason || 'manual',
+                                data.duration ? data.duration * 1000 : undefined);
+                            removeBannedPeers();
+                            return sendJSON(res, { status: 'banned', ban });
 
                         case '/sync':
-                            const syncData = await handleSync(data, server.address().port, publicIp, nodeId);
+                            const syncData = await handleSync(data, server.address().port, publicIp, nodeId, getRequestPeer(req)?.id);
                             return sendJSON(res, syncData);
 
+                        case '/handshake':
+                            // A peer opening a connection to us: answer with our own signed handshake unless we refuse it
+                            const { reply, refusal: handshakeRefusal } = answerHandshake(data, nodeId, getRemoteIp(req));
+                            if (handshakeRefusal) {
+                                console.log(`Refusing handshake from ${data.nodeId}: ${handshakeRefusal}`);
+                                return sendError(res, 400, `Handshake refused: ${handshakeRefusal}`);
+                            }
+                            return sendJSON(res, reply);
+
                         case '/register':
                             const { ip, port, nodeId: peerNodeId } = data;
+                            // Registration carries the handshake too; incompatible nodes are not added
+                            const registerHandshake = getLocalHandshake(nodeId);
+                            const registerRefusal = checkHandshake(data, registerHandshake);
+                            if (registerRefusal) {
+                                console.log(`Refusing registration of ${peerNodeId} (${ip}:${port}): ${registerRefusal}`);
+                                return sendError(res, 400, `Handshake refused: ${registerRefusal}`);
+                            }
+                            // Its features are recorded once it proves its identity in the handshake of our connection to it
                             addPeer(ip, port, server.address().port, publicIp, peerNodeId, nodeId, "Register endpoint");
 
-                            // Send back our peers AND current inventory
+                            // Send back our peers and pending transactions. Blocks are not included,
+                            // the new node downloads the chain with the headers-first sync
                             const response = {
                                 status: 'registered',
                                 peers: getActivePeers().map(p => ({
@@ -172,8 +413,9 @@ const server = http.createServer(async (req, res) => {
                                 nodeId: nodeId,
                                 ip: publicIp,
                                 port: port,
-                                blocks: Array.from(inventory.blocks.values()),
-                                transactions: Array.from(inventory.transactions.values())
+                                transactions: Array.from(inventory.transactions.values()),
+                                observedIp: getRemoteIp(req), // Tells the node which address its request came from
+                                ...registerHandshake
                             };
                             return sendJSON(res, response);
 
@@ -194,8 +436,302 @@ const server = http.createServer(async (req, res) => {
     }
 });
 
-function sendJSON(res, data) {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
+// Peers open a long-lived encrypted WebSocket link with an upgrade of GET /p2p after their handshake.
+// Clients that prefer a WebSocket to Server-Sent Events get the event stream with an upgrade of GET /events
+server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (url.pathname !== '/p2p' && url.pathname !== '/events') {
+        return socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    }
+    if (banList.isBanned(getRemoteIp(req))) {
+        return socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+    }
+    if (url.pathname === '/p2p') {
+        return acceptPeerSocket(req, socket, head, getRemoteIp(req));
+    }
+
+    const types = (url.searchParams.get('types') || '').split(',').filter(Boolean);
+    if (checkEventFilter(types) || nodeEvents.getClientCount() >= MAX_EVENT_CLIENTS) {
+        return socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    }
+    const connection = acceptWebSocket(req, socket, head);
+    if (connection) {
+        nodeEvents.streamToWebSocket(connection, types);
+    }
+});
+
+// Messages arriving over WebSocket links, with the same bodies as the matching HTTP routes
+onPeerMessage('block', (block, peer) => inventory.addBlock(block, peer));
+onPeerMessage('transaction', (tx, peer) => inventory.addTransaction(tx, true, peer));
+onPeerMessage('announce', (announcement, peer) => inventory.handleAnnouncement(announcement, peer));
+onPeerMessage('getdata', (request, peer) => {
+    // Answered with the objects themselves, parents before children as they were requested
+    const { blocks, transactions } = inventory.getData(request);
+    blocks.forEach(block => sendToPeer(peer, 'block', block));
+    transactions.forEach(tx => sendToPeer(peer, 'transaction', tx));
+});
+// What peers ask us over their link instead of over HTTP: the chain sync's requests, the peer exchange and
+// the pending transactions (the rest of /inventory they don't use, and it can be larger than a message)
+onPeerRequest((path, searchParams) => {
+    switch (path) {
+        case '/consensus': return getConsensusState();
+        case '/getblocks': return getBlocks(searchParams);
+        case '/headers': return getHeaders(searchParams);
+        case '/peers': return getPeerList();
+        case '/inventory': return { transactions: Array.from(inventory.transactions.values()) };
+        default: return null;
+    }
+});
+onPeerMessage('peers', (syncData, peer) => handleSync(syncData, server.address().port, publicIp, nodeId, peer.id));
+
+// JSON-RPC methods for wallets and scripts (POST /rpc), see rpc.mjs
+registerRpcMethod('getBlock', ['hash'], ({ hash }) => {
+    const block = inventory.getBlock(requireString(hash, 'hash'));
+    if (!block) {
+        throw new RpcError(RPC_ERRORS.notFound, `Block ${hash} not found`);
+    }
+    return { ...block, height: inventory.blockHeights.get(hash) };
+});
+
+registerRpcMethod('getBlockByHeight', ['height'], ({ height }) => {
+    if (!Number.isInteger(height) || height < 0) {
+        throw new RpcError(RPC_ERRORS.invalidParams, 'height must be a non-negative integer');
+    }
+    // Heights only identify blocks on the main chain
+    const hash = inventory.getChainToBlock(inventory.blockchainHead)[height];
+    if (!hash) {
+        throw new RpcError(RPC_ERRORS.notFound, `No block at height ${height}`);
+    }
+    return { ...inventory.getBlock(hash), height };
+});
+
+registerRpcMethod('getBalance', ['address'], ({ address = nodeId }) => {
+    requireString(address, 'address');
+    return {
+        address,
+        balance: inventory.getBalance(address),
+        nextNonce: inventory.getNextNonce(address)
+    };
+});
+
+registerRpcMethod('sendTransaction', ['transaction'], ({ transaction }) => {
+    // A transaction signed by the wallet, accepted and relayed like one from POST /inv
+    if (!transaction || typeof transaction !== 'object' || typeof transaction.id !== 'string') {
+        throw new RpcError(RPC_ERRORS.invalidParams, 'transaction must be a signed transaction object with an id');
+    }
+    if (inventory.seenMessages.has(transaction.id)) {
+        throw new RpcError(RPC_ERRORS.rejected, `Transaction ${transaction.id} is already known`);
+    }
+    if (!inventory.addTransaction(transaction)) {
+        throw new RpcError(RPC_ERRORS.rejected, `Transaction ${transaction.id} rejected: invalid fields or signature, wrong nonce or balance too low`, {
+            expectedNonce: inventory.getNextNonce(transaction.sender),
+            balance: inventory.getBalance(transaction.sender)
+        });
+    }
+    return { id: transaction.id, status: 'added' };
+});
+
+registerRpcMethod('getMempool', [], () => inventory.getMempool());
+
+registerRpcMethod('getPeers', [], () => getActivePeers().map(p => ({
+    nodeId: p.id,
+    ip: p.ip,
+    port: p.port,
+    group: p.group,
+    version: p.version,
+    features: p.features,
+    transport: getPeerTransport(p.id)
+})));
+
+registerRpcMethod('getChainInfo', [], () => {
+    const height = inventory.blockHeights.get(inventory.blockchainHead) || 0;
+    const { version, networkId } = getLocalHandshake(nodeId);
+    return {
+        nodeId,
+        version,
+        networkId,
+        genesisHash: inventory.genesisHash,
+        head: inventory.blockchainHead,
+        height,
+        chainWork: inventory.getChainWork(inventory.blockchainHead).toString(), // BigInt, sent as a decimal string
+        nextDifficulty: inventory.blockchainHead ? inventory.getNextDifficulty(inventory.blockchainHead) : null,
+        nextBlockSubsidy: getBlockSubsidy(height + 1),
+        pendingTransactions: inventory.transactions.size,
+        orphanBlocks: inventory.orphanBlocks.size
+    };
+});
+
+// Information about the current consensus state (GET /consensus)
+function getConsensusState() {
+    const headBlock = inventory.getBlock(inventory.blockchainHead);
+    const chainLength = inventory.blockHeights.get(inventory.blockchainHead) || 0;
+
+    return {
+        currentHead: inventory.blockchainHead,
+        chainHeight: chainLength,
+        chainWork: inventory.getChainWork(inventory.blockchainHead).toString(), // BigInt, sent as a decimal string
+        headBlock: headBlock,
+        totalBlocks: inventory.blocks.size,
+        forkedBlocks: inventory.blocks.size - (chainLength + 1), // +1 for genesis
+        nextBlockSubsidy: getBlockSubsidy(chainLength + 1),
+        nextDifficulty: inventory.blockchainHead ? inventory.getNextDifficulty(inventory.blockchainHead) : null,
+        orphanBlocks: inventory.orphanBlocks.size
+    };
+}
+
+// Blocks for GET /getblocks: ?hash=, a batch by ?hashes=, the main chain with ?mainchain=true, otherwise all of them
+function getBlocks(searchParams) {
+    const hash = searchParams.get('hash');
+    const hashes = searchParams.get('hashes');
+    const mainChainOnly = searchParams.get('mainchain') === 'true';
+
+    let blocks;
+    if (hash) {
+        // Get specific block by hash
+        blocks = [inventory.getBlock(hash)];
+    } else if (hashes) {
+        // Get a batch of blocks by hash (block bodies for the chain sync)
+        blocks = hashes.split(',').slice(0, MAX_BLOCKS_PER_REQUEST).map(h => inventory.getBlock(h));
+    } else if (mainChainOnly) {
+        // Get only blocks in the main chain
+        blocks = inventory.getMainChain();
+    } else {
+        // Get all blocks (including those in forks)
+        blocks = inventory.getAllBlocks();
+    }
+    return blocks.filter(Boolean);
+}
+
+// Main chain headers after the first hash of the locator ?from= that we know (GET /headers)
+function getHeaders(searchParams) {
+    const locator = (searchParams.get('from') || '').split(',').filter(Boolean);
+    const headerLimit = Math.min(parseInt(searchParams.get('limit')) || MAX_HEADERS_PER_REQUEST, MAX_HEADERS_PER_REQUEST);
+    return inventory.getHeaders(locator, headerLimit);
+}
+
+function getPeerList() {
+    return getActivePeers().map(p => ({
+        ip: p.ip,
+        port: p.port,
+        nodeId: p.id
+    }));
+}
+
+function requireString(value, name) {
+    if (typeof value !== 'string' || !value) {
+        throw new RpcError(RPC_ERRORS.invalidParams, `${name} must be a non-empty string`);
+    }
+    return value;
+}
+
+// JSON-RPC answers with HTTP 200 even for errors, they are in the response body. Only notifications get no body
+// client is who the request is charged to, every call of it takes a token of its method's class as well
+async function answerRpc(res, body, client) {
+    let request;
+    try {
+        request = JSON.parse(body);
+    } catch (e) {
+        return sendJSON(res, createError(null, RPC_ERRORS.parseError, 'Parse error'));
+    }
+
+    const response = await handleRpcRequest(request, method => {
+        const { allowed, retryAfter } = rateLimiter.take(client, getRpcMethodClass(method));
+        return allowed ? null : new RpcError(RPC_ERRORS.rateLimited, 'Too many requests', { retryAfter });
+    });
+    if (!response) {
+        res.writeHead(204);
+        return res.end();
+    }
+    return sendJSON(res, response);
+}
+
+// What an external miner needs: the block to find the nonce of, with the target its hash has to stay at or below
+function getTemplateResponse({ height, block }) {
+    return {
+        height,
+        previousHash: block.previousHash,
+        difficulty: block.difficulty,
+        target: getDifficultyTarget(block.difficulty),
+        merkleRoot: block.merkleRoot,
+        fees: block.transactions.filter(tx => !isCoinbase(tx)).reduce((sum, tx) => sum + getTransactionFee(tx), 0),
+        block
+    };
+}
+
+// POST /mining/start with an optional {"threads": n} body, or POST /mining/stop
+function answerMining(res, path, body) {
+    let data;
+    try {
+        data = body ? JSON.parse(body) : {};
+    } catch (e) {
+        return sendError(res, 400, 'Invalid JSON');
+    }
+
+    if (path === '/mining/stop') {
+        miningService.stop();
+        return sendJSON(res, { status: 'stopped', mining: miningService.getStatus() });
+    }
+    const threads = data.threads === undefined ? miningService.threads : data.threads;
+    if (!Number.isInteger(threads) || threads < 1 || threads > MAX_MINING_THREADS) {
+        return sendError(res, 400, `threads must be an integer from 1 to ${MAX_MINING_THREADS}`);
+    }
+    miningService.start(threads);
+    return sendJSON(res, { status: 'started', mining: miningService.getStatus() });
+}
+
+// Event types asked for in ?types=, empty for all. Answers the request with an error and returns null if invalid
+function getEventFilter(url, res) {
+    const types = (url.searchParams.get('types') || '').split(',').filter(Boolean);
+    const invalid = checkEventFilter(types);
+    if (invalid) {
+        sendError(res, 400, invalid);
+        return null;
+    }
+    if (nodeEvents.getClientCount() >= MAX_EVENT_CLIENTS) {
+        sendError(res, 503, 'Too many event stream clients');
+        return null;
+    }
+    return types;
+}
+
+function getRemoteIp(req) {
+    return (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+// The known peer a request comes from: the node id it claims (X-Node-Id unless given), but only if the request
+// comes from that peer's address, so nobody can get another node penalised by using its id
+function getRequestPeer(req, claimedId = req.headers['x-node-id']) {
+    const peer = getPeer(claimedId);
+    return peer && peer.ip === getRemoteIp(req) ? peer : null;
+}
+
+// With an admin token configured a request has to carry it. Without one only requests from this machine may use
+// the admin routes, and not those of a web page (browsers always send Origin with a POST): any page the operator
+// opens could otherwise post to /send on localhost
+function isAdminRequest(req) {
+    if (!config.api.adminToken) {
+        return isLoopbackAddress(getRemoteIp(req)) && !req.headers.origin;
+    }
+    const expected = Buffer.from(`Bearer ${config.api.adminToken}`);
+    const given = Buffer.from(req.headers.authorization || '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function isLoopbackAddress(ip) {
+    return ip.startsWith('127.') || ip === '::1';
+}
+
+// Answer 413 and stop reading: the connection is closed once the answer is out
+function rejectLargeBody(req, res) {
+    console.log(`Refusing request body over ${maxBodySize} bytes from ${getRemoteIp(req)}`);
+    res.setHeader('Connection', 'close');
+    res.on('finish', () => req.destroy());
+    sendError(res, 413, `Request body larger than ${maxBodySize} bytes`);
+}
+
+function sendJSON(res, data, code = 200) {
+    res.writeHead(code, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(data));
 }
 
@@ -206,29 +742,29 @@ function sendError(res, code, message) {
 
 // Start server
 server.listen(port, async () => {
-    // Ensure we have our IP before proceeding with bootstrap
-    if (!publicIp) {
-        if (useLocalhost) {
-            publicIp = '127.0.0.1';
-            console.log('Using localhost (127.0.0.1) for local testing');
-        } else {
-            try {
-                publicIp = await fetch('https://api.ipify.org').then(r => r.text());
-                console.log(`Public IP detected on server start: ${publicIp}`);
-            } catch (error) {
-                console.error('Failed to get public IP during server start. This is required.');
-                server.close();
-                process.exit(1);
-                return;
-            }
-        }
-    }
-    
-    console.log(`Node ${nodeId} running at ${publicIp}:${port}`);
+    // Find the address to advertise before proceeding with bootstrap; it may change later when peers
+    // consistently see us at another one
+    publicIp = await addressManager.discover({
+        advertiseAddr: config.network.advertiseAddr,
+        localhost: config.network.localhost,
+        lookupUrl: config.network.addressLookupUrl
+    });
+    console.log(`Node ${nodeId} running at ${publicIp}:${port} (address from ${addressManager.source})`);
     const selfInfo = { ip: publicIp, port, nodeId };
+    addressManager.onChange(ip => {
+        publicIp = ip;
+        selfInfo.ip = ip;
+    });
+    
+    // Reconnect to the peers we knew before the restart; bootstrap peers are only a fallback
+    const savedPeers = loadSavedPeers(path.join(dataDir, 'peers.json'));
+    const reconnectedPeers = savedPeers.length > 0 ? await reconnectSavedPeers(savedPeers, selfInfo) : 0;
+    if (reconnectedPeers > 0) {
+        inventory.syncInventoryWithPeers();
+    }
     
     // Check if we need to create a genesis block (first node or standalone)
-    if (initialPeers.length === 0 && inventory.blocks.size === 0) {
+    if (initialPeers.length === 0 && reconnectedPeers === 0 && inventory.blocks.size === 0) {
         console.log('This appears to be the first node. Creating genesis block...');
         const genesisBlock = inventory.createGenesisBlock(nodeId);
         if (genesisBlock) {
@@ -238,24 +774,19 @@ server.listen(port, async () => {
     }
 
     // Initial peer exchange
-    if (initialPeers.length) {
+    if (initialPeers.length && reconnectedPeers === 0) {
         try {
             const bootstrapResult = await bootstrap(initialPeers, selfInfo);
             
             // Process any inventory received during bootstrap
             if (bootstrapResult && bootstrapResult.data) {
-                // Process blocks
-                if (bootstrapResult.data.blocks && Array.isArray(bootstrapResult.data.blocks)) {
-                    console.log(`Processing ${bootstrapResult.data.blocks.length} blocks from bootstrap`);
-                    bootstrapResult.data.blocks.forEach(block => {
-                        if (block && (block.hash || block.id)) {
-                            console.log(`Adding block from bootstrap: ${JSON.stringify(block)}`);
-                            inventory.addBlock(block);
-                        } else {
-                            console.log(`Skipping invalid block from bootstrap: ${JSON.stringify(block)}`);
-                        }
-                    });
-                }
+                // Download the chain from the bootstrap node (and any peers we are already connected to)
+                // before the pending transactions, so they can be checked against the right balances
+                const { ip, port: bootstrapPort, data } = bootstrapResult;
+                const bootstrapPeer = getPeer(data.nodeId) ||
+                    { id: data.nodeId, ip, port: bootstrapPort, features: negotiateFeatures(data.features) };
+                const syncedBlocks = await inventory.chainSync.synchronize([bootstrapPeer]);
+                console.log(`Downloaded ${syncedBlocks} blocks during bootstrap`);
                 
                 // Process transactions
                 if (bootstrapResult.data.transactions && Array.isArray(bootstrapResult.data.transactions)) {
@@ -273,8 +804,16 @@ server.listen(port, async () => {
     }
 
     // Start maintenance tasks
-    setInterval(cleanupPeers, PEER_TIMEOUT);
+    setInterval(cleanupPeers, networkParams.peerTimeout);
     startPeerExchange(selfInfo);
+
+    // Mine with the node once the chain has been downloaded, so we don't work on an outdated head
+    if (config.mining.enabled) {
+        miningService.start();
+    }
+    if (config.pool.enabled) {
+        miningPool.start();
+    }
 });
 
 // Periodic network maintenance
@@ -285,6 +824,8 @@ setInterval(() => {
 // Handle exit signals properly
 process.on('SIGINT', () => {
     console.log('Shutting down server...');
+    miningService.stop();
+    savePeers();
     server.close(() => {
         console.log('Server closed successfully');
         process.exit(0);
@@ -299,6 +840,8 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
     console.log('Received SIGTERM, shutting down...');
+    miningService.stop();
+    savePeers();
     server.close(() => {
         console.log('Server closed successfully');
         process.exit(0);
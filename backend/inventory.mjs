@@ -1,19 +1,54 @@
 // inventory.mjs
-import { getActivePeers, removePeer } from './network.mjs';
+import { getActivePeers, getSourceKey, hasPeerLink, MISBEHAVIOR_PENALTIES, peerSupports, penalizeSource, removePeer, requestFromPeer, sendToPeer } from './network.mjs';
+import { verifyTransactionSignature } from './wallet.mjs';
+import { findDuplicateTransaction, getMerkleProof, getMerkleRoot, getTransactionHash } from './merkle.mjs';
+import { ChainSync } from './sync.mjs';
+import { nodeEvents } from './events.mjs';
+import { checkTransactionAmounts, consensusParams, createCoinbaseTransaction, getBlockHeader, getBlockSubsidy, getBlockWork, getMedianTimePast, getNextDifficulty, getTransactionFee, hashMeetsDifficulty, isCoinbase, isValidBlockTime, MEDIAN_TIME_SPAN } from './consensus.mjs';
 import crypto from 'crypto';
 
+const GENESIS_BALANCE = 100; // Initial coins for the genesis block creator
+const MAX_TX_PER_BLOCK = 10; // Default number of transactions picked for a block template
+const SYNC_INTERVAL = 30000; // Default time between inventory syncs with our peers
+const MAX_ORPHAN_BLOCKS = 100; // Blocks waiting for their parent; the oldest is dropped when the pool is full
+const ORPHAN_MAX_AGE = 10 * 60 * 1000; // Orphans whose parent never shows up are dropped after 10 minutes
+const MAX_ORPHANS_PER_PEER = 10; // Orphan chains one peer can have waiting in the pool
+const MAX_PARENT_REQUESTS_PER_PEER = 10; // Missing parents fetched for the orphans of one peer per BLOCK_REQUEST_INTERVAL
+const BLOCK_REQUEST_INTERVAL = 30000; // Ask for the same missing block at most once per 30 seconds
+const MAX_ANNOUNCED_ITEMS = 500; // Hashes/ids taken from one announcement or getdata request
+
 export class InventoryManager {
     constructor() {
         this.blocks = new Map();
         this.transactions = new Map();
         this.seenMessages = new Set();
         this.balances = new Map(); // Track node balances
+        this.nonces = new Map(); // Track confirmed transaction count per sender (next expected nonce)
         this.genesisCreated = false; // Track if genesis block was created
+        this.genesisHash = null; // Identifies the network in the handshake
         this.blockchainHead = null; // Track current chain head
         this.blockHeights = new Map(); // Map to track block heights
+        this.chainWork = new Map(); // Map of block hash -> cumulative work (BigInt) from genesis up to that block
+        this.storage = null; // On-disk block store, attached at startup
+        this.nodeId = null; // Our node id and port, sent to peers so they know whom to ask for missing data
+        this.nodePort = null;
+        this.orphanBlocks = new Map(); // Blocks whose parent we don't have yet: hash -> { block, source, receivedAt }
+        this.orphansByParent = new Map(); // Missing parent hash -> Set of orphan hashes waiting for it
+        this.requestedBlocks = new Map(); // Missing block hash -> time we last asked a peer for it
+        this.parentRequests = new Map(); // Peer id -> times we fetched a missing parent for one of its orphans
+        this.requestedTransactions = new Map(); // Announced transaction id -> time we asked the announcing peer for it
+        this.chainSync = new ChainSync(this); // Headers-first download of chains with more work from peers
+        this.maxBlockTransactions = MAX_TX_PER_BLOCK;
+        this.syncTimer = null;
         
         // Set up periodic inventory synchronization with active peers
-        setInterval(() => this.syncInventoryWithPeers(), 30000); // Sync every 30 seconds
+        this.setSyncInterval(SYNC_INTERVAL);
+    }
+    
+    setSyncInterval(interval) {
+        clearInterval(this.syncTimer);
+        // Background timers don't keep the process alive on their own, so tools and tests can import this module
+        this.syncTimer = setInterval(() => this.syncInventoryWithPeers(), interval).unref();
     }
     
     // Create genesis block with initial balance for the creator
@@ -25,7 +60,7 @@ export class InventoryManager {
         
         console.log(`Creating genesis block for node ${nodeId}`);
         const timestamp = new Date().toISOString();
-        const initialBalance = 100; // Initial coins for first node
+        const initialBalance = GENESIS_BALANCE;
         
         const genesisBlock = {
             isGenesis: true,
@@ -35,6 +70,7 @@ export class InventoryManager {
             creator: nodeId,
             merkleRoot: "",
             count: 0,
+            difficulty: consensusParams.initialDifficulty,
             transactions: [],
             hash: "" // Will be calculated
         };
@@ -47,9 +83,11 @@ export class InventoryManager {
         this.blocks.set(genesisHash, genesisBlock);
         this.seenMessages.add(genesisHash);
         this.genesisCreated = true;
+        this.genesisHash = genesisHash;
         
         // Set block height (genesis is height 0)
         this.blockHeights.set(genesisHash, 0);
+        this.chainWork.set(genesisHash, getBlockWork(genesisBlock));
         
         // Set genesis as the blockchain head
         this.blockchainHead = genesisHash;
@@ -59,14 +97,18 @@ export class InventoryManager {
         console.log(`Genesis block created with hash ${genesisHash}`);
         console.log(`Initial balance for ${nodeId}: ${initialBalance} coins`);
         
+        this.persistBlock(genesisBlock);
+        this.saveSnapshot();
+        this.publishBlockAdded(genesisBlock);
+        nodeEvents.publish('head.changed', { hash: genesisHash, height: 0, previousHead: null });
+        
         return genesisBlock;
     }
 
     calculateBlockHash(block) {
         // We need to match the exact hash calculation from miner.mjs
-        // In miner.mjs, the hash is calculated as sha256(blockString + nonce)
-        const { hash, ...blockWithoutHash } = block;
-        const blockString = JSON.stringify(blockWithoutHash);
+        // In miner.mjs, the hash is calculated as sha256(headerString + nonce)
+        const blockString = JSON.stringify(getBlockHeader(block));
         const nonce = block.nonce || "0"; // Get nonce from block, default to "0"
         
         // Calculate hash the same way as in miner.mjs
@@ -75,7 +117,10 @@ export class InventoryManager {
             .digest('hex');
     }
 
-    addBlock(block) {
+    // Add a block to the block tree.
+    // source is the peer it came from (if known); missing ancestors are requested from that peer.
+    // relay is false for blocks downloaded by the chain sync, which our peers already have
+    addBlock(block, source = null, relay = true) {
         console.log('=============================================================');
         console.log('BLOCK ADDITION DEBUG - Attempting to add block:', JSON.stringify(block, null, 2));
 
@@ -92,9 +137,7 @@ export class InventoryManager {
         console.log('Current blockchain head:', this.blockchainHead);
         console.log('Existing blocks:', Array.from(this.blocks.keys()));
 
-        // We'll use the hash from the block if available, or calculated hash otherwise
-        // This helps with compatibility when receiving blocks that might have
-        // been mined with a different hash calculation
+        // A block may be sent without its hash, but a hash it does carry has to be the real one
         const blockHash = originalBlockHash || calculatedHash;
         
         // Check if we've seen this block before (try both original and calculated hash)
@@ -102,6 +145,21 @@ export class InventoryManager {
             console.log('Block already seen, skipping');
             return false;
         }
+        
+        if (this.orphanBlocks.has(blockHash)) {
+            console.log('Block is already waiting in the orphan pool, skipping');
+            return false;
+        }
+        
+        if (blockHash !== calculatedHash) {
+            this.rejectBlock(`claimed hash ${blockHash} does not match its contents`, source);
+            return false;
+        }
+        
+        if (block.isGenesis && this.genesisCreated) {
+            this.rejectBlock('we already have a genesis block', source);
+            return false;
+        }
 
         // If this is a genesis block, handle it specially
         if (block.isGenesis) {
@@ -111,27 +169,44 @@ export class InventoryManager {
             this.blocks.set(blockHash, blockWithHash);
             this.seenMessages.add(blockHash);
             this.genesisCreated = true;
+            this.genesisHash = blockHash;
             
             // Set block height (genesis is height 0)
             this.blockHeights.set(blockHash, 0);
+            this.chainWork.set(blockHash, getBlockWork(block));
             
             // Set genesis as the blockchain head
             this.blockchainHead = blockHash;
             
             // Set initial balance for creator if specified
             if (block.creator) {
-                this.balances.set(block.creator, 100); // Initial balance
-                console.log(`Set initial balance for ${block.creator}: 100 coins`);
+                this.balances.set(block.creator, GENESIS_BALANCE);
+                console.log(`Set initial balance for ${block.creator}: ${GENESIS_BALANCE} coins`);
             }
             
+            this.persistBlock(blockWithHash);
+            this.saveSnapshot();
+            this.publishBlockAdded(blockWithHash);
+            nodeEvents.publish('head.changed', { hash: blockHash, height: 0, previousHead: null });
+            
             // Propagate with correct hash
-            this.propagateBlock(blockWithHash);
+            if (relay) {
+                this.propagateBlock(blockWithHash);
+            }
+            this.connectOrphanBlocks(blockHash);
             return true;
         }
         
+        // Blocks whose parent we don't have can't be validated or given a height yet.
+        // They wait in the orphan pool while we fetch the missing ancestors
+        if (!this.blocks.has(block.previousHash)) {
+            this.addOrphanBlock({ ...block, hash: blockHash }, calculatedHash, source);
+            return false;
+        }
+        
         // For regular blocks, first validate the block structure and chain links
         if (!this.validateBlockStructure(block, calculatedHash)) {
-            console.log('BLOCK REJECTED: Block structure validation failed');
+            this.rejectBlock('block structure validation failed', source);
             return false;
         }
         
@@ -144,9 +219,16 @@ export class InventoryManager {
                 console.log(`Block TX ${index}: ${tx.id} - ${tx.sender} sends ${tx.amount} to ${tx.receiver}`);
             });
             
-            // Validate all transactions in the block
-            if (!this.validateBlockTransactions(block.transactions)) {
-                console.log('BLOCK REJECTED: Block transactions validation failed');
+            // Blocks extending our head can be checked against current balances and nonces right away.
+            // Side-chain blocks only get the stateless checks here; their balances and nonces are
+            // validated in handleChainReorganization if that chain ever becomes the main chain
+            const extendsHead = block.previousHash === this.blockchainHead;
+            const transactionsValid = extendsHead
+                ? this.validateBlockTransactions(block.transactions, block.creator)
+                : block.transactions.every((tx, i) => (i === 0 && isCoinbase(tx)) || this.validateTransactionFormat(tx));
+            
+            if (!transactionsValid) {
+                this.rejectBlock('block transactions validation failed', source);
                 return false;
             }
             
@@ -159,7 +241,7 @@ export class InventoryManager {
             // Check if the transactions in the block match pending transactions
             if (block.transactions.length > 0) {
                 const pendingTxMap = new Map(Array.from(this.transactions.entries()));
-                const missingTxs = block.transactions.filter(tx => !pendingTxMap.has(tx.id));
+                const missingTxs = block.transactions.filter(tx => !isCoinbase(tx) && !pendingTxMap.has(tx.id));
                 if (missingTxs.length > 0) {
                     console.log(`WARNING: ${missingTxs.length} transactions in block not found in pending pool`);
                     missingTxs.forEach(tx => {
@@ -172,32 +254,32 @@ export class InventoryManager {
             const blockWithHash = { ...block, hash: blockHash };
             this.blocks.set(blockHash, blockWithHash);
             this.seenMessages.add(blockHash);
+            this.persistBlock(blockWithHash);
             
             console.log(`BLOCK ADDED TO BLOCKCHAIN with hash ${blockHash}`);
             
-            // Calculate the block height
-            const prevBlockHeight = this.blockHeights.get(block.previousHash) || -1;
-            if (prevBlockHeight === -1) {
-                console.log(`Warning: Previous block with hash ${block.previousHash} not found`);
-                // For simulation purposes, assume a height of 1 if previous is unknown
-                // This helps orphaned blocks still get processed
-                this.blockHeights.set(blockHash, 1);
-                console.log(`Assigned default height 1 to orphaned block`);
-            } else {
-                const currentHeight = prevBlockHeight + 1;
-                this.blockHeights.set(blockHash, currentHeight);
-                console.log(`Block height set to ${currentHeight}`);
-            }
-            
-            // Process transactions in the block regardless of consensus
-            // This ensures transactions are applied even if we later need to rollback
-            // The processBlockTransactions function now also removes them from the pending pool
-            console.log(`Processing ${block.transactions.length} transactions from block`);
-            this.processBlockTransactions(block.transactions);
+            // Calculate the block height (the parent is always known here, orphans never get this far)
+            const currentHeight = this.blockHeights.get(block.previousHash) + 1;
+            this.blockHeights.set(blockHash, currentHeight);
+            this.chainWork.set(blockHash, this.getChainWork(block.previousHash) + getBlockWork(block));
+            console.log(`Block height set to ${currentHeight}, chain work ${this.getChainWork(blockHash)}`);
+            
+            this.publishBlockAdded(blockWithHash);
             
             // Apply consensus rules to handle potential forks
+            // Transactions are applied to balances only when the block joins the main chain
+            const previousHead = this.blockchainHead;
             const consensusResult = this.applyConsensusRules(blockHash, blockWithHash);
+            if (!this.blocks.has(blockHash)) {
+                // The chain it completes has invalid transactions, forgetInvalidBlock has removed it again
+                this.rejectBlock(`block ${blockHash} is on a chain with invalid transactions`, source);
+                return false;
+            }
             console.log(`Consensus result: ${consensusResult ? 'Block is now blockchain head' : 'Block added but not head'}`);
+            if (consensusResult) {
+                this.saveSnapshot();
+                nodeEvents.publish('head.changed', { hash: blockHash, height: currentHeight, previousHead });
+            }
             
             // Final verification
             console.log(`VERIFICATION: Block ${blockHash} is now in blockchain: ${this.blocks.has(blockHash)}`);
@@ -211,13 +293,291 @@ export class InventoryManager {
             console.log(`Pending transactions after: ${remainingTxIds}`);
 
             // Propagate with correct hash
-            this.propagateBlock(blockWithHash);
+            if (relay) {
+                this.propagateBlock(blockWithHash);
+            }
+            
+            // Blocks that were waiting for this one can now be connected
+            this.connectOrphanBlocks(blockHash);
             return true;
         }
 
+        this.rejectBlock('block has no transaction list', source);
         return false;
     }
     
+    // Log why a block was rejected and count it against the peer that sent it
+    rejectBlock(reason, source) {
+        console.log(`BLOCK REJECTED: ${reason}`);
+        if (source) {
+            penalizeSource(source, MISBEHAVIOR_PENALTIES.invalidBlock, `invalid block: ${reason}`);
+        }
+    }
+    
+    // Keep a block with an unknown parent until the parent arrives.
+    // Only the proof-of-work, timestamp and merkle root are checked, which makes flooding the pool expensive
+    addOrphanBlock(block, calculatedHash, source) {
+        const meetsDifficulty = block.difficulty >= consensusParams.minDifficulty &&
+            hashMeetsDifficulty(calculatedHash, block.difficulty);
+        // The merkle root is checked too, otherwise a copy of a real header with other transactions
+        // could take the real block's place in the pool
+        if (!meetsDifficulty || !isValidBlockTime(block) || !this.validateMerkleRoot(block)) {
+            this.rejectBlock(`orphan ${block.hash} has invalid proof-of-work, timestamp or merkle root`, source);
+            return false;
+        }
+        
+        this.pruneOrphanBlocks();
+        
+        // A block an orphan is waiting for is a missing ancestor we fetched, part of a chain already in the pool.
+        // Any other orphan starts a new chain; a peer can have MAX_ORPHANS_PER_PEER of those, beyond that its
+        // oldest one makes room
+        const isAncestor = this.orphansByParent.has(block.hash);
+        if (!isAncestor && source) {
+            const chainTips = Array.from(this.orphanBlocks.entries())
+                .filter(([hash, orphan]) => orphan.source && getSourceKey(orphan.source) === getSourceKey(source) &&
+                    !this.orphansByParent.has(hash));
+            if (chainTips.length >= MAX_ORPHANS_PER_PEER) {
+                console.log(`Peer ${source.id} has ${chainTips.length} orphan chains waiting, dropping its oldest`);
+                this.dropUnconnectedOrphan(chainTips[0][0]);
+            }
+        }
+        if (this.orphanBlocks.size >= MAX_ORPHAN_BLOCKS) {
+            const oldestHash = this.orphanBlocks.keys().next().value;
+            console.log(`Orphan pool full, dropping oldest orphan ${oldestHash}`);
+            this.removeOrphanBlock(oldestHash);
+        }
+        
+        this.orphanBlocks.set(block.hash, { block, source, receivedAt: Date.now() });
+        if (!this.orphansByParent.has(block.previousHash)) {
+            this.orphansByParent.set(block.previousHash, new Set());
+        }
+        this.orphansByParent.get(block.previousHash).add(block.hash);
+        console.log(`ORPHAN BLOCK ${block.hash} waiting for parent ${block.previousHash} (${this.orphanBlocks.size} orphans in pool)`);
+        
+        this.requestMissingAncestor(block.previousHash, source, !isAncestor);
+        return true;
+    }
+    
+    // Drop an orphan whose parent didn't show up. It counts against the peer that sent it: a peer relaying
+    // real blocks can give us their ancestors, orphans that never connect are made up or from another chain
+    dropUnconnectedOrphan(blockHash) {
+        const orphan = this.orphanBlocks.get(blockHash);
+        if (!orphan) return;
+        
+        this.removeOrphanBlock(blockHash);
+        if (orphan.source) {
+            penalizeSource(orphan.source, MISBEHAVIOR_PENALTIES.unconnectedOrphan, `orphan block ${blockHash} never connected`);
+        }
+    }
+    
+    removeOrphanBlock(blockHash) {
+        const orphan = this.orphanBlocks.get(blockHash);
+        if (!orphan) return;
+        
+        this.orphanBlocks.delete(blockHash);
+        const siblings = this.orphansByParent.get(orphan.block.previousHash);
+        if (siblings) {
+            siblings.delete(blockHash);
+            if (siblings.size === 0) {
+                this.orphansByParent.delete(orphan.block.previousHash);
+            }
+        }
+    }
+    
+    // Drop orphans that have been waiting too long and forget old block and transaction requests
+    pruneOrphanBlocks() {
+        const now = Date.now();
+        for (const [hash, orphan] of this.orphanBlocks) {
+            if (now - orphan.receivedAt > ORPHAN_MAX_AGE) {
+                console.log(`Dropping expired orphan block ${hash}`);
+                this.dropUnconnectedOrphan(hash);
+            }
+        }
+        for (const [peerId, times] of this.parentRequests) {
+            if (times.every(time => now - time > BLOCK_REQUEST_INTERVAL)) {
+                this.parentRequests.delete(peerId);
+            }
+        }
+        for (const requests of [this.requestedBlocks, this.requestedTransactions]) {
+            for (const [id, requestedAt] of requests) {
+                if (now - requestedAt > BLOCK_REQUEST_INTERVAL) {
+                    requests.delete(id);
+                }
+            }
+        }
+    }
+    
+    // Re-add the orphans that were waiting for parentHash. Each connected orphan
+    // goes through addBlock again, which connects its own children in turn
+    connectOrphanBlocks(parentHash) {
+        const children = this.orphansByParent.get(parentHash);
+        if (!children) return;
+        
+        for (const hash of [...children]) {
+            const orphan = this.orphanBlocks.get(hash);
+            this.removeOrphanBlock(hash);
+            if (!orphan) continue;
+            
+            console.log(`Connecting orphan block ${hash} to its parent ${parentHash}`);
+            this.addBlock(orphan.block, orphan.source);
+        }
+    }
+    
+    // Ask for the oldest block we are missing on the way from an orphan back to our tree.
+    // If the parent is itself an orphan we already know it, so we go further back first.
+    // For a new orphan chain (newChain) the fetches are limited per peer, so a peer can't make us send a request
+    // for every made-up parent; walking back along a chain we are already fetching is not limited
+    requestMissingAncestor(blockHash, source, newChain = true) {
+        let missingHash = blockHash;
+        while (this.orphanBlocks.has(missingHash)) {
+            missingHash = this.orphanBlocks.get(missingHash).block.previousHash;
+        }
+        
+        const requestedAt = this.requestedBlocks.get(missingHash);
+        if (requestedAt && Date.now() - requestedAt < BLOCK_REQUEST_INTERVAL) {
+            console.log(`Block ${missingHash} was already requested, waiting for it`);
+            return;
+        }
+        if (newChain) {
+            const now = Date.now();
+            const sourceKey = source ? getSourceKey(source) : undefined;
+            const recent = (this.parentRequests.get(sourceKey) || []).filter(time => now - time < BLOCK_REQUEST_INTERVAL);
+            if (recent.length >= MAX_PARENT_REQUESTS_PER_PEER) {
+                console.log(`Already fetched ${recent.length} missing parents for orphans from peer ${source?.id ?? '(unknown)'}, not fetching ${missingHash} now`);
+                return;
+            }
+            recent.push(now);
+            this.parentRequests.set(sourceKey, recent);
+        }
+        this.requestedBlocks.set(missingHash, Date.now());
+        
+        this.fetchMissingBlock(missingHash, source);
+    }
+    
+    // Fetch a block by hash from the peer that sent us its child, or from any active peer if
+    // we don't know where the child came from. The fetched block goes through addBlock, so if
+    // its own parent is missing too it becomes an orphan and the walk back continues
+    async fetchMissingBlock(blockHash, source) {
+        const peers = source ? [source] : getActivePeers();
+        
+        for (const peer of peers) {
+            try {
+                console.log(`Requesting missing block ${blockHash} from peer ${peer.id} at ${peer.ip}:${peer.port}`);
+                const blocks = await requestFromPeer(peer, `/getblocks?hash=${blockHash}`, 5000);
+                const block = Array.isArray(blocks) ? blocks.find(b => b && b.hash === blockHash) : null;
+                if (!block) {
+                    console.log(`Peer ${peer.id} does not have block ${blockHash}`);
+                    continue;
+                }
+                
+                peer.lastSeen = Date.now();
+                this.requestedBlocks.delete(blockHash);
+                this.addBlock(block, peer);
+                return;
+            } catch (error) {
+                console.log(`Failed to fetch block ${blockHash} from peer ${peer.id}: ${error.message}`);
+            }
+        }
+    }
+    
+    // Load the chain from the block store and keep the store updated from now on.
+    // Every stored block is re-verified; balances and nonces come from the snapshot when it matches
+    // the stored chain, otherwise they are rebuilt by replaying the blocks through the consensus rules
+    attachStorage(store) {
+        const storedBlocks = store.loadBlocks();
+        const snapshot = store.loadState();
+        
+        // The whole block tree first: the snapshot is only used if its head is in it. A stored block that fails
+        // verification now (or a block before it) leaves the head out, and the snapshot's balances with it
+        const restored = storedBlocks.map(block => this.restoreBlock(block));
+        const restoredBlocks = restored.filter(Boolean).length;
+        const useSnapshot = Boolean(snapshot) && this.blocks.has(snapshot.head) &&
+            storedBlocks.slice(0, snapshot.blockCount).some(block => block.hash === snapshot.head);
+        
+        if (useSnapshot) {
+            this.blockchainHead = snapshot.head;
+            this.balances = new Map(Object.entries(snapshot.balances || {}));
+            this.nonces = new Map(Object.entries(snapshot.nonces || {}));
+            console.log(`Restoring state snapshot at head ${snapshot.head} (height ${snapshot.height})`);
+        } else if (this.genesisHash) {
+            console.log('No usable state snapshot, replaying stored blocks');
+            this.blockchainHead = this.genesisHash;
+            this.balances = new Map([[this.blocks.get(this.genesisHash).creator, GENESIS_BALANCE]]);
+            this.nonces = new Map();
+        }
+        
+        // Blocks written after the snapshot still have to go through fork choice, without one all of them do
+        storedBlocks.forEach((block, index) => {
+            if (!restored[index] || block.isGenesis) return;
+            if (!useSnapshot || index >= snapshot.blockCount) {
+                this.applyConsensusRules(block.hash, block);
+            }
+        });
+        
+        this.storage = store;
+        this.saveSnapshot();
+        
+        console.log(`Restored ${restoredBlocks} of ${storedBlocks.length} stored blocks, head ${this.blockchainHead} at height ${this.blockHeights.get(this.blockchainHead) || 0}`);
+    }
+    
+    // Verify a stored block and insert it into the block tree without applying or propagating it
+    restoreBlock(block) {
+        const calculatedHash = this.calculateBlockHash(block);
+        if (!block || block.hash !== calculatedHash) {
+            console.log(`Block store: block ${block && block.hash} does not match its contents, skipping`);
+            return false;
+        }
+        
+        if (this.blocks.has(block.hash)) {
+            return false;
+        }
+        
+        if (block.isGenesis) {
+            if (this.genesisCreated) {
+                console.log(`Block store: ignoring second genesis block ${block.hash}`);
+                return false;
+            }
+            this.genesisCreated = true;
+            this.genesisHash = block.hash;
+            this.blockHeights.set(block.hash, 0);
+            this.chainWork.set(block.hash, getBlockWork(block));
+        } else {
+            if (!this.blocks.has(block.previousHash) || !this.validateBlockStructure(block, calculatedHash)) {
+                console.log(`Block store: block ${block.hash} failed verification, skipping`);
+                return false;
+            }
+            this.blockHeights.set(block.hash, this.blockHeights.get(block.previousHash) + 1);
+            this.chainWork.set(block.hash, this.getChainWork(block.previousHash) + getBlockWork(block));
+        }
+        
+        this.blocks.set(block.hash, block);
+        this.seenMessages.add(block.hash);
+        return true;
+    }
+    
+    // Cumulative work of the chain ending in blockHash (0 for unknown blocks)
+    getChainWork(blockHash) {
+        return this.chainWork.get(blockHash) || 0n;
+    }
+    
+    persistBlock(block) {
+        if (this.storage) {
+            this.storage.appendBlock(block);
+        }
+    }
+    
+    // Save balances, nonces and head so a restart doesn't need to replay the chain
+    saveSnapshot() {
+        if (!this.storage || !this.blockchainHead) return;
+        
+        this.storage.saveState({
+            head: this.blockchainHead,
+            height: this.blockHeights.get(this.blockchainHead) || 0,
+            balances: Object.fromEntries(this.balances),
+            nonces: Object.fromEntries(this.nonces)
+        });
+    }
+    
     // Validate the block structure and chain links
     validateBlockStructure(block, calculatedHash) {
         console.log(`\n=== VALIDATING BLOCK STRUCTURE ===`);
@@ -225,12 +585,12 @@ export class InventoryManager {
         console.log(`Calculated hash: ${calculatedHash}`);
         console.log(`Previous hash: ${block.previousHash}`);
         
-        // Now we can validate the proof of work properly
-        // Check that the hash starts with the required number of zeros (difficulty)
-        const hashMeetsDifficulty = calculatedHash.startsWith('0000');
-        console.log(`Hash meets difficulty (starts with 0000): ${hashMeetsDifficulty}`);
+        // Check the proof of work against the difficulty the block claims
+        const meetsDifficulty = block.difficulty >= consensusParams.minDifficulty &&
+            hashMeetsDifficulty(calculatedHash, block.difficulty);
+        console.log(`Hash meets difficulty (${block.difficulty} leading zero bits): ${meetsDifficulty}`);
         
-        if (!hashMeetsDifficulty) {
+        if (!meetsDifficulty) {
             console.log(`Block hash validation FAILED: hash does not meet difficulty requirement`);
             return false;
         }
@@ -240,68 +600,162 @@ export class InventoryManager {
         console.log(`Previous block exists in our blockchain: ${previousBlockExists}`);
         
         if (!previousBlockExists) {
-            console.log(`Block chain validation note: previous hash ${block.previousHash} not found in blockchain`);
-            // We might still accept orphaned blocks that could be connected later
-            // But we should not validate them until we have their ancestors
-            console.log('Block might be an orphan, will be accepted but not fully validated');
-            
-            // List first few blocks we have to help debug
-            const existingBlockHashes = Array.from(this.blocks.keys()).slice(0, 5);
-            console.log(`First few existing blocks: ${existingBlockHashes.join(', ')}`);
-            
-            // For debugging - return true to accept orphans and avoid cascading rejections
-            return true;
+            // Orphans are kept in the orphan pool by addBlock and validated once their parent arrives
+            console.log(`Block chain validation FAILED: previous hash ${block.previousHash} not found in blockchain`);
+            return false;
+        }
+        
+        if (!isValidBlockTime(block, this.blocks.get(block.previousHash), hash => this.blocks.get(hash))) {
+            console.log(`Block validation FAILED: invalid timestamp ${block.timestamp}, not a valid time, too far in the future or not after the median of the last ${MEDIAN_TIME_SPAN} blocks`);
+            return false;
+        }
+        
+        // The claimed difficulty must be the one our retargeting rules expect at this point of the chain
+        const expectedDifficulty = this.getNextDifficulty(block.previousHash);
+        if (block.difficulty !== expectedDifficulty) {
+            console.log(`Block difficulty validation FAILED: block claims ${block.difficulty}, expected ${expectedDifficulty}`);
+            return false;
         }
         
-        // Validate merkleRoot if transactions exist
-        if (block.transactions && block.transactions.length > 0) {
-            console.log(`Block has ${block.transactions.length} transactions, merkleRoot: ${block.merkleRoot}`);
-            // Import the getMerkleRoot function from miner.mjs to recalculate
-            // For simplicity, we'll skip this here, but in a full implementation this would verify
-            // that the merkle root in the block matches a recalculation from the transactions
-            // This helps detect transaction tampering
+        // The coinbase must pay exactly the subsidy for this block's height
+        const height = this.blockHeights.get(block.previousHash) + 1;
+        if (!this.validateCoinbase(block.transactions, height)) {
+            console.log(`Block coinbase validation FAILED`);
+            return false;
+        }
+        
+        // The block hash only covers the header, so the merkle root is what ties the transactions to it
+        if (!this.validateMerkleRoot(block)) {
+            console.log(`Block merkle root validation FAILED: ${block.merkleRoot} does not match the block's transactions`);
+            return false;
         }
         
         console.log('Block structure and chain validation PASSED ✅');
         return true;
     }
     
-    // Validate all transactions within a block
-    validateBlockTransactions(transactions) {
-        if (!Array.isArray(transactions)) {
-            console.log('Block has invalid transactions format');
+    validateMerkleRoot(block) {
+        if (!Array.isArray(block.transactions)) return false;
+        
+        // A repeated transaction can leave the root unchanged, see findDuplicateTransaction
+        const duplicate = findDuplicateTransaction(block.transactions);
+        if (duplicate) {
+            console.log(`Block contains transaction ${duplicate} more than once`);
+            return false;
+        }
+        
+        const merkleRoot = getMerkleRoot(block.transactions);
+        console.log(`Block has ${block.transactions.length} transactions, merkleRoot: ${block.merkleRoot}, calculated: ${merkleRoot}`);
+        return block.merkleRoot === merkleRoot;
+    }
+    
+    // Difficulty required of the next block built on top of parentHash
+    getNextDifficulty(parentHash) {
+        return getNextDifficulty(
+            this.blocks.get(parentHash),
+            this.blockHeights.get(parentHash),
+            hash => this.blocks.get(hash)
+        );
+    }
+    
+    // Every block starts with exactly one coinbase transaction crediting the block subsidy to the miner
+    validateCoinbase(transactions, height) {
+        const coinbaseError = this.checkCoinbase(transactions, height);
+        if (coinbaseError) {
+            console.log(coinbaseError);
             return false;
         }
+        return true;
+    }
+    
+    // Returns what is wrong with the coinbase of a block at height, or null
+    checkCoinbase(transactions, height) {
+        if (!Array.isArray(transactions) || transactions.length === 0 || !isCoinbase(transactions[0])) {
+            return 'Block does not start with a coinbase transaction';
+        }
+        
+        if (transactions.slice(1).some(isCoinbase)) {
+            return 'Block has more than one coinbase transaction';
+        }
+        
+        const coinbase = transactions[0];
+        const expectedSubsidy = getBlockSubsidy(height);
+        if (!coinbase.id || !coinbase.receiver || coinbase.height !== height || coinbase.amount !== expectedSubsidy) {
+            return `Invalid coinbase ${coinbase.id}: pays ${coinbase.amount} to ${coinbase.receiver} at height ${coinbase.height}, expected ${expectedSubsidy} at height ${height}`;
+        }
+        
+        return null;
+    }
+    
+    // Validate all transactions within a block; fees are credited to the block creator
+    validateBlockTransactions(transactions, creator) {
+        const transactionError = this.checkBlockTransactions(transactions, creator);
+        if (transactionError) {
+            console.log(transactionError);
+            return false;
+        }
+        console.log('All transactions in block are valid');
+        return true;
+    }
+    
+    // Check the transactions of a block against our current balances and nonces.
+    // Returns the first problem found, or null if they are all valid
+    checkBlockTransactions(transactions, creator) {
+        if (!Array.isArray(transactions)) {
+            return 'Block has invalid transactions format';
+        }
         
-        // Make a temporary copy of balances to validate the entire block
-        // without affecting the actual balances
+        // Make a temporary copy of balances and nonces to validate the entire block
+        // without affecting the actual state
         const tempBalances = new Map(this.balances);
+        const tempNonces = new Map(this.nonces);
         
         // Validate each transaction in sequence
         for (let i = 0; i < transactions.length; i++) {
             const tx = transactions[i];
             
-            // Check required fields
-            if (!tx.id || !tx.sender || !tx.receiver || !tx.amount || tx.amount <= 0) {
-                console.log(`Transaction ${i} in block has missing or invalid fields`);
-                return false;
+            // The coinbase (checked by validateCoinbase) is only allowed in first position
+            if (isCoinbase(tx)) {
+                if (i !== 0) {
+                    return `Transaction ${tx.id} validation failed: coinbase is not the first transaction`;
+                }
+                tempBalances.set(tx.receiver, (tempBalances.get(tx.receiver) || 0) + tx.amount);
+                continue;
+            }
+            
+            // Amounts are checked before any balance arithmetic, then the required fields and signature
+            const amountError = checkTransactionAmounts(tx);
+            if (amountError) {
+                return `Transaction ${tx.id} validation failed: ${amountError}`;
+            }
+            if (!tx.id || !this.validateTransactionFormat(tx)) {
+                return `Transaction ${i} in block (${tx.id}) has missing or invalid fields or an invalid signature`;
+            }
+            
+            // Each transaction must use exactly the next nonce of its sender
+            const expectedNonce = tempNonces.get(tx.sender) || 0;
+            if (tx.nonce !== expectedNonce) {
+                return `Transaction ${tx.id} validation failed: nonce ${tx.nonce}, expected ${expectedNonce} for sender ${tx.sender}`;
             }
             
-            // Check if sender has enough balance to cover the transaction
+            // Check if sender has enough balance to cover the transaction and its fee
+            const fee = getTransactionFee(tx);
             const senderBalance = tempBalances.get(tx.sender) || 0;
-            if (senderBalance < tx.amount) {
-                console.log(`Transaction ${tx.id} validation failed: sender ${tx.sender} has insufficient balance (${senderBalance})`);
-                return false;
+            if (senderBalance < tx.amount + fee) {
+                return `Transaction ${tx.id} validation failed: sender ${tx.sender} has insufficient balance (${senderBalance})`;
             }
             
-            // Update temporary balances for subsequent transaction validations
-            tempBalances.set(tx.sender, senderBalance - tx.amount);
+            // Update temporary state for subsequent transaction validations
+            tempBalances.set(tx.sender, senderBalance - tx.amount - fee);
             const receiverBalance = tempBalances.get(tx.receiver) || 0;
             tempBalances.set(tx.receiver, receiverBalance + tx.amount);
+            if (fee > 0) {
+                tempBalances.set(creator, (tempBalances.get(creator) || 0) + fee);
+            }
+            tempNonces.set(tx.sender, expectedNonce + 1);
         }
         
-        console.log('All transactions in block are valid');
-        return true;
+        return null;
     }
     
     // Apply consensus rules to handle potential forks
@@ -314,11 +768,13 @@ export class InventoryManager {
             return true;
         }
         
-        // Get heights of current head and new block
+        // Get heights and cumulative work of current head and new block
         const currentHeadHeight = this.blockHeights.get(this.blockchainHead) || 0;
         const newBlockHeight = this.blockHeights.get(newBlockHash) || 0;
+        const currentHeadWork = this.getChainWork(this.blockchainHead);
+        const newBlockWork = this.getChainWork(newBlockHash);
         
-        console.log(`Consensus check: Current head ${this.blockchainHead} at height ${currentHeadHeight}, new block ${newBlockHash} at height ${newBlockHeight}`);
+        console.log(`Consensus check: Current head ${this.blockchainHead} at height ${currentHeadHeight} with work ${currentHeadWork}, new block ${newBlockHash} at height ${newBlockHeight} with work ${newBlockWork}`);
         
         // DEBUGGING: Print the chain structure to understand path to genesis
         console.log(`Chain from new block to genesis:`);
@@ -338,17 +794,24 @@ export class InventoryManager {
             i++;
         }
         
-        // Rule 1: Longest chain wins
-        if (newBlockHeight > currentHeadHeight) {
-            console.log(`Consensus: New block creates longer chain. Switching head from ${this.blockchainHead} to ${newBlockHash}`);
-            this.handleChainReorganization(this.blockchainHead, newBlockHash);
+        // Rule 1: Chain with the most cumulative work wins (not the one with the most blocks,
+        // otherwise a long run of easy blocks could replace a harder chain)
+        if (newBlockWork > currentHeadWork) {
+            console.log(`Consensus: New block creates chain with more work. Switching head from ${this.blockchainHead} to ${newBlockHash}`);
+            if (!this.handleChainReorganization(this.blockchainHead, newBlockHash)) {
+                console.log('Consensus: New chain failed validation, current chain remains the preferred chain');
+                return false;
+            }
             this.blockchainHead = newBlockHash;
             return true;
         } 
-        // Rule 2: If same height, smallest hash wins
-        else if (newBlockHeight === currentHeadHeight && newBlockHash < this.blockchainHead) {
-            console.log(`Consensus: New block has same height but smaller hash. Switching head from ${this.blockchainHead} to ${newBlockHash}`);
-            this.handleChainReorganization(this.blockchainHead, newBlockHash);
+        // Rule 2: If same work, smallest hash wins
+        else if (newBlockWork === currentHeadWork && newBlockHash < this.blockchainHead) {
+            console.log(`Consensus: New block has same work but smaller hash. Switching head from ${this.blockchainHead} to ${newBlockHash}`);
+            if (!this.handleChainReorganization(this.blockchainHead, newBlockHash)) {
+                console.log('Consensus: New chain failed validation, current chain remains the preferred chain');
+                return false;
+            }
             this.blockchainHead = newBlockHash;
             return true;
         } else {
@@ -357,7 +820,8 @@ export class InventoryManager {
         }
     }
     
-    // Handle chain reorganization when the head changes
+    // Handle chain reorganization when the head changes.
+    // Returns false (and leaves balances and nonces untouched) if the new chain has invalid transactions
     handleChainReorganization(oldHead, newHead) {
         console.log(`Chain reorganization: From ${oldHead} to ${newHead}`);
         
@@ -396,34 +860,96 @@ export class InventoryManager {
             const block = this.blocks.get(blockHash);
             if (block && block.transactions) {
                 console.log(`Rolling back transactions in block ${blockHash}`);
-                // Reverse the transactions (from latest to earliest)
-                for (const tx of block.transactions) {
-                    if (tx.sender && tx.receiver && tx.amount) {
-                        // Get current balances
-                        const senderBalance = this.balances.get(tx.sender) || 0;
-                        const receiverBalance = this.balances.get(tx.receiver) || 0;
-                        
-                        // Reverse the transaction
-                        const newSenderBalance = senderBalance + tx.amount;
-                        this.balances.set(tx.sender, newSenderBalance);
-                        
-                        const newReceiverBalance = receiverBalance - tx.amount;
-                        this.balances.set(tx.receiver, newReceiverBalance);
-                        
-                        console.log(`Rolled back: ${tx.sender} (${senderBalance} → ${newSenderBalance}), ${tx.receiver} (${receiverBalance} → ${newReceiverBalance})`);
-                    }
-                }
+                this.revertBlockTransactions(block.transactions, block.creator);
             }
         }
         
-        // Apply transactions from the new chain
+        // Apply transactions from the new chain, validating each block against the
+        // balances and nonces left by the blocks before it
+        const appliedBlocks = [];
         for (const blockHash of blocksToApply) {
             const block = this.blocks.get(blockHash);
-            if (block && block.transactions) {
-                console.log(`Applying transactions in block ${blockHash}`);
-                this.processBlockTransactions(block.transactions);
+            if (!block || !block.transactions) continue;
+            
+            if (!this.validateBlockTransactions(block.transactions, block.creator)) {
+                console.log(`Block ${blockHash} is invalid on top of the new chain, restoring old chain`);
+                
+                // Undo what we applied from the new chain and re-apply the old chain
+                for (const appliedHash of appliedBlocks.reverse()) {
+                    const appliedBlock = this.blocks.get(appliedHash);
+                    this.revertBlockTransactions(appliedBlock.transactions, appliedBlock.creator);
+                }
+                for (const rolledBackHash of [...blocksToRollback].reverse()) {
+                    const rolledBackBlock = this.blocks.get(rolledBackHash);
+                    if (rolledBackBlock && rolledBackBlock.transactions) {
+                        this.processBlockTransactions(rolledBackBlock.transactions, rolledBackBlock.creator);
+                    }
+                }
+                
+                // Forget the invalid block so it can never be selected as head
+                this.forgetInvalidBlock(blockHash);
+                return false;
             }
+            
+            console.log(`Applying transactions in block ${blockHash}`);
+            this.processBlockTransactions(block.transactions, block.creator);
+            appliedBlocks.push(blockHash);
         }
+        
+        this.removeStaleTransactions();
+        
+        // A head that just extends the old one is no reorg, only blocks rolled back make it one
+        if (blocksToRollback.length > 0) {
+            nodeEvents.publish('reorg', {
+                oldHead,
+                newHead,
+                commonAncestor: newChain[commonAncestorIndex - 1] || null,
+                rolledBack: blocksToRollback,
+                applied: blocksToApply
+            });
+        }
+        for (const blockHash of appliedBlocks) {
+            this.blocks.get(blockHash).transactions
+                .filter(tx => !isCoinbase(tx))
+                .forEach(tx => nodeEvents.publish('tx.confirmed', {
+                    id: tx.id,
+                    blockHash,
+                    height: this.blockHeights.get(blockHash)
+                }));
+        }
+        return true;
+    }
+    
+    // Remove a block that turned out to be invalid, and every block built on it, from the block tree, the seen
+    // messages and the block store, so nothing builds on it and a restart doesn't load it again
+    forgetInvalidBlock(blockHash) {
+        const invalid = new Set([blockHash]);
+        // Blocks only join the tree after their parent, so one pass in insertion order finds all descendants
+        for (const [hash, block] of this.blocks) {
+            if (invalid.has(block.previousHash)) invalid.add(hash);
+        }
+        
+        for (const hash of invalid) {
+            this.blocks.delete(hash);
+            this.blockHeights.delete(hash);
+            this.chainWork.delete(hash);
+            this.seenMessages.delete(hash);
+        }
+        if (this.storage) {
+            this.storage.removeBlocks(invalid);
+            this.saveSnapshot();
+        }
+        console.log(`Forgot invalid block ${blockHash} and ${invalid.size - 1} blocks built on it`);
+    }
+    
+    publishBlockAdded(block) {
+        nodeEvents.publish('block.added', {
+            hash: block.hash,
+            height: this.blockHeights.get(block.hash),
+            previousHash: block.previousHash,
+            creator: block.creator,
+            transactions: block.transactions.length
+        });
     }
     
     // Get the full chain from genesis to a specific block
@@ -431,8 +957,8 @@ export class InventoryManager {
         const chain = [];
         let currentHash = blockHash;
         
-        // Maximum iterations to prevent infinite loops
-        let maxIterations = 1000;
+        // Maximum iterations to prevent infinite loops (a chain can't be longer than the blocks we have)
+        let maxIterations = this.blocks.size + 1;
         
         while (currentHash && maxIterations > 0) {
             const block = this.blocks.get(currentHash);
@@ -448,8 +974,8 @@ export class InventoryManager {
         return chain;
     }
     
-    // Process all transactions in a block, updating balances
-    processBlockTransactions(transactions) {
+    // Process all transactions in a block, updating balances and paying fees to the block creator
+    processBlockTransactions(transactions, creator) {
         console.log(`\n=== PROCESSING BLOCK TRANSACTIONS ===`);
         if (!Array.isArray(transactions)) {
             console.log(`No transactions to process (not an array)`);
@@ -465,14 +991,23 @@ export class InventoryManager {
         
         // Apply all transactions
         for (const tx of transactions) {
+            // Credit the block subsidy to the miner
+            if (isCoinbase(tx)) {
+                const minerBalance = this.balances.get(tx.receiver) || 0;
+                this.balances.set(tx.receiver, minerBalance + tx.amount);
+                console.log(`Applied coinbase: ${tx.receiver} (${minerBalance} → ${minerBalance + tx.amount})`);
+                continue;
+            }
+            
             if (!tx.sender || !tx.receiver || !tx.amount) {
                 console.log('Skipping invalid transaction in block');
                 continue;
             }
             
-            // Deduct from sender
+            // Deduct amount and fee from sender
+            const fee = getTransactionFee(tx);
             const senderBalance = this.balances.get(tx.sender) || 0;
-            const newSenderBalance = senderBalance - tx.amount;
+            const newSenderBalance = senderBalance - tx.amount - fee;
             this.balances.set(tx.sender, newSenderBalance);
             
             // Add to receiver
@@ -480,6 +1015,14 @@ export class InventoryManager {
             const newReceiverBalance = receiverBalance + tx.amount;
             this.balances.set(tx.receiver, newReceiverBalance);
             
+            // Pay the fee to the block creator
+            if (fee > 0 && creator) {
+                this.balances.set(creator, (this.balances.get(creator) || 0) + fee);
+            }
+            
+            // Advance the sender's nonce
+            this.nonces.set(tx.sender, (this.nonces.get(tx.sender) || 0) + 1);
+            
             console.log(`Applied transaction: ${tx.sender} (${senderBalance} → ${newSenderBalance}) sent ${tx.amount} to ${tx.receiver} (${receiverBalance} → ${newReceiverBalance})`);
             
             // Remove this transaction from pending pool if it exists
@@ -492,12 +1035,76 @@ export class InventoryManager {
         // Check how many pending transactions remain
         console.log(`After processing transactions: ${this.transactions.size} pending transactions remain`);
     }
+    
+    // Undo the transactions of a block that leaves the main chain, newest first,
+    // and put them back into the pending pool so they can be mined again
+    revertBlockTransactions(transactions, creator) {
+        if (!Array.isArray(transactions)) return;
+        
+        for (const tx of [...transactions].reverse()) {
+            // Take the block subsidy back from the miner; a coinbase never returns to the pending pool
+            if (isCoinbase(tx)) {
+                const minerBalance = this.balances.get(tx.receiver) || 0;
+                this.balances.set(tx.receiver, minerBalance - tx.amount);
+                console.log(`Rolled back coinbase: ${tx.receiver} (${minerBalance} → ${minerBalance - tx.amount})`);
+                continue;
+            }
+            
+            if (!tx.sender || !tx.receiver || !tx.amount) continue;
+            
+            // Get current balances
+            const senderBalance = this.balances.get(tx.sender) || 0;
+            const receiverBalance = this.balances.get(tx.receiver) || 0;
+            
+            // Reverse the transaction, including the fee paid to the block creator
+            const fee = getTransactionFee(tx);
+            if (fee > 0 && creator) {
+                this.balances.set(creator, (this.balances.get(creator) || 0) - fee);
+            }
+            
+            const newSenderBalance = senderBalance + tx.amount + fee;
+            this.balances.set(tx.sender, newSenderBalance);
+            
+            const newReceiverBalance = receiverBalance - tx.amount;
+            this.balances.set(tx.receiver, newReceiverBalance);
+            
+            // Give the nonce back to the sender
+            this.nonces.set(tx.sender, Math.max((this.nonces.get(tx.sender) || 0) - 1, 0));
+            
+            if (tx.id) {
+                this.transactions.set(tx.id, tx);
+            }
+            
+            console.log(`Rolled back: ${tx.sender} (${senderBalance} → ${newSenderBalance}), ${tx.receiver} (${receiverBalance} → ${newReceiverBalance})`);
+        }
+    }
+    
+    // Drop pending transactions whose nonce has already been used on the main chain
+    removeStaleTransactions() {
+        for (const [txId, tx] of this.transactions.entries()) {
+            if (tx.nonce < (this.nonces.get(tx.sender) || 0)) {
+                console.log(`Removing stale transaction ${txId} (nonce ${tx.nonce} already used)`);
+                this.transactions.delete(txId);
+            }
+        }
+    }
 
-    addTransaction(tx) {
+    // relay is false for transactions picked up by the periodic sync, which our peers already have.
+    // source is the peer the transaction came from, if known
+    addTransaction(tx, relay = true, source = null) {
         if (this.seenMessages.has(tx.id)) {
             return false;
         }
         
+        // A badly formed or badly signed transaction is the sender's fault. A wrong nonce or missing
+        // balance may just mean the peer is on another chain, so those are rejected without a penalty
+        if (!this.validateTransactionFormat(tx)) {
+            if (source) {
+                penalizeSource(source, MISBEHAVIOR_PENALTIES.invalidTransaction, `invalid transaction ${tx.id}`);
+            }
+            return false;
+        }
+        
         // Validate transaction
         if (!this.validateTransaction(tx)) {
             return false;
@@ -505,18 +1112,67 @@ export class InventoryManager {
 
         this.transactions.set(tx.id, tx);
         this.seenMessages.add(tx.id);
-        this.propagateTransaction(tx);
+        nodeEvents.publish('tx.added', {
+            id: tx.id,
+            sender: tx.sender,
+            receiver: tx.receiver,
+            amount: tx.amount,
+            fee: getTransactionFee(tx),
+            source: source ? source.id : null
+        });
+        if (relay) {
+            this.propagateTransaction(tx);
+        }
         return true;
     }
     
-    // Validate if a transaction is valid (sender has enough balance)
-    validateTransaction(tx) {
+    // Stateless checks shared by pending and block transactions: required fields, nonce and signature.
+    // The coinbase at the start of a block is checked by checkCoinbase instead; anywhere else, and in the
+    // pending pool, a transaction typed as coinbase is refused: every block template would get a second one
+    validateTransactionFormat(tx) {
+        if (isCoinbase(tx)) {
+            console.log(`Transaction ${tx.id} rejected: a coinbase is only valid as the first transaction of a block`);
+            return false;
+        }
+        
         // Check for required fields
-        if (!tx.sender || !tx.receiver || !tx.amount || tx.amount <= 0) {
-            console.log('Transaction missing required fields or invalid amount');
+        if (!tx.sender || !tx.receiver) {
+            console.log('Transaction missing required fields');
             console.log('  sender:', tx.sender);
             console.log('  receiver:', tx.receiver);
-            console.log('  amount:', tx.amount);
+            return false;
+        }
+        
+        const amountError = checkTransactionAmounts(tx);
+        if (amountError) {
+            console.log(`Transaction ${tx.id} rejected: ${amountError}`);
+            return false;
+        }
+        
+        if (!Number.isInteger(tx.nonce) || tx.nonce < 0) {
+            console.log(`Transaction ${tx.id} has missing or invalid nonce: ${tx.nonce}`);
+            return false;
+        }
+        
+        // Only the owner of the sender address can spend from it
+        if (!verifyTransactionSignature(tx)) {
+            console.log(`Transaction rejected: signature does not verify against sender ${tx.sender}`);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    // Validate if a transaction is valid (signed by the sender, next nonce, sender has enough balance)
+    validateTransaction(tx) {
+        if (!this.validateTransactionFormat(tx)) {
+            return false;
+        }
+        
+        // The nonce must follow the sender's confirmed and pending transactions without gaps or duplicates
+        const expectedNonce = this.getNextNonce(tx.sender);
+        if (tx.nonce !== expectedNonce) {
+            console.log(`Transaction rejected: ${tx.sender} used nonce ${tx.nonce}, expected ${expectedNonce}`);
             return false;
         }
         
@@ -524,9 +1180,9 @@ export class InventoryManager {
         const senderBalance = this.balances.get(tx.sender) || 0;
         console.log(`VALIDATION: ${tx.sender} has balance: ${senderBalance}`);
         
-        // Check if sender has enough funds
-        if (senderBalance < tx.amount) {
-            console.log(`Transaction rejected: ${tx.sender} has balance ${senderBalance}, tried to send ${tx.amount}`);
+        // Check if sender has enough funds for the amount and the fee
+        if (senderBalance < tx.amount + getTransactionFee(tx)) {
+            console.log(`Transaction rejected: ${tx.sender} has balance ${senderBalance}, tried to send ${tx.amount} with fee ${getTransactionFee(tx)}`);
             return false;
         }
         
@@ -534,6 +1190,157 @@ export class InventoryManager {
         return true;
     }
     
+    // Next nonce for a sender: its confirmed nonce, advanced past any consecutive pending transactions
+    getNextNonce(address) {
+        const pendingNonces = new Set(
+            Array.from(this.transactions.values())
+                .filter(tx => tx.sender === address)
+                .map(tx => tx.nonce)
+        );
+        
+        let nonce = this.nonces.get(address) || 0;
+        while (pendingNonces.has(nonce)) {
+            nonce++;
+        }
+        return nonce;
+    }
+    
+    // Fee per byte of the serialized transaction, used to order the pending pool
+    getFeeRate(tx) {
+        return getTransactionFee(tx) / Buffer.byteLength(JSON.stringify(tx));
+    }
+    
+    // Pending transactions ordered by fee rate, highest first
+    getMempool() {
+        return Array.from(this.transactions.values())
+            .map(tx => ({ ...tx, feeRate: this.getFeeRate(tx) }))
+            .sort((a, b) => b.feeRate - a.feeRate);
+    }
+    
+    // Pick the highest paying set of pending transactions that is valid on top of our head.
+    // Each sender's transactions must go in nonce order, so only the lowest unused nonce of every
+    // sender is a candidate; a candidate the sender can't afford yet waits, since a transaction
+    // picked later may pay the sender the coins it needs
+    selectTransactionsForBlock(maxCount = this.maxBlockTransactions) {
+        const tempBalances = new Map(this.balances);
+        const queues = new Map();
+        
+        for (const tx of this.transactions.values()) {
+            if (isCoinbase(tx)) continue; // The template has its own, a second one would make the block invalid
+            if (!queues.has(tx.sender)) queues.set(tx.sender, []);
+            queues.get(tx.sender).push(tx);
+        }
+        
+        // Sort each sender's queue by nonce and drop anything that doesn't continue the confirmed nonce
+        for (const [sender, queue] of queues.entries()) {
+            queue.sort((a, b) => a.nonce - b.nonce);
+            let expectedNonce = this.nonces.get(sender) || 0;
+            const contiguous = [];
+            for (const tx of queue) {
+                if (tx.nonce !== expectedNonce) break;
+                contiguous.push(tx);
+                expectedNonce++;
+            }
+            queues.set(sender, contiguous);
+        }
+        
+        const selected = [];
+        while (selected.length < maxCount) {
+            const candidates = Array.from(queues.values())
+                .filter(queue => queue.length > 0)
+                .map(queue => queue[0])
+                .filter(tx => (tempBalances.get(tx.sender) || 0) >= tx.amount + getTransactionFee(tx))
+                .sort((a, b) => this.getFeeRate(b) - this.getFeeRate(a));
+            
+            if (candidates.length === 0) break;
+            
+            const tx = candidates[0];
+            queues.get(tx.sender).shift();
+            tempBalances.set(tx.sender, tempBalances.get(tx.sender) - tx.amount - getTransactionFee(tx));
+            tempBalances.set(tx.receiver, (tempBalances.get(tx.receiver) || 0) + tx.amount);
+            selected.push(tx);
+        }
+        
+        console.log(`Selected ${selected.length} of ${this.transactions.size} pending transactions for a block`);
+        return selected;
+    }
+
+    // Block to mine on top of our head: the coinbase paying creator, then the best paying pending transactions.
+    // The nonce is left for the miner to find, and the block gets its hash once it meets the difficulty.
+    // Returns null while we have no chain to build on
+    createBlockTemplate(creator) {
+        if (!this.blockchainHead) return null;
+
+        const previousHash = this.blockchainHead;
+        const height = this.blockHeights.get(previousHash) + 1;
+        const transactions = [createCoinbaseTransaction(creator, height, previousHash), ...this.selectTransactionsForBlock()];
+        // Our clock may be behind the chain's median time past, the block has to be later than that
+        const medianTimePast = getMedianTimePast(this.blocks.get(previousHash), hash => this.blocks.get(hash));
+        return {
+            height,
+            block: {
+                previousHash,
+                timestamp: new Date(Math.max(Date.now(), medianTimePast + 1)).toISOString(),
+                nonce: '0',
+                creator,
+                merkleRoot: getMerkleRoot(transactions),
+                count: transactions.length,
+                difficulty: this.getNextDifficulty(previousHash),
+                transactions
+            }
+        };
+    }
+
+    // Check a block mined on one of our templates (POST /mining/submit) the way addBlock would, but say why it
+    // is refused so the miner can fix it. Only blocks on our current head are accepted, anything else is stale.
+    // Returns { reason, message } or null if the block can be added
+    checkSubmittedBlock(block) {
+        if (!block || typeof block !== 'object' || typeof block.previousHash !== 'string' || typeof block.nonce !== 'string' ||
+            typeof block.creator !== 'string' || !Array.isArray(block.transactions)) {
+            return { reason: 'malformed', message: 'Expected a block with previousHash, timestamp, nonce (a string), creator, merkleRoot, count, difficulty and transactions' };
+        }
+
+        const hash = this.calculateBlockHash(block);
+        if (block.hash !== undefined && block.hash !== hash) {
+            return { reason: 'bad-hash', message: `Hash ${block.hash} is not the hash of the block header, that is ${hash}` };
+        }
+        if (this.blocks.has(hash) || this.seenMessages.has(hash)) {
+            return { reason: 'duplicate', message: `Block ${hash} is already known` };
+        }
+        if (block.previousHash !== this.blockchainHead) {
+            return { reason: 'stale', message: `Block builds on ${block.previousHash} but our head is ${this.blockchainHead}` };
+        }
+
+        const expectedDifficulty = this.getNextDifficulty(block.previousHash);
+        if (block.difficulty !== expectedDifficulty) {
+            return { reason: 'bad-difficulty', message: `Block claims difficulty ${block.difficulty}, expected ${expectedDifficulty}` };
+        }
+        if (!hashMeetsDifficulty(hash, block.difficulty)) {
+            return { reason: 'bad-pow', message: `Hash ${hash} does not start with ${block.difficulty} zero bits` };
+        }
+        if (!isValidBlockTime(block, this.blocks.get(block.previousHash), hash => this.blocks.get(hash))) {
+            return { reason: 'bad-timestamp', message: `Timestamp ${block.timestamp} is not a valid time, too far in the future or not after the median of the last ${MEDIAN_TIME_SPAN} blocks` };
+        }
+
+        const coinbaseError = this.checkCoinbase(block.transactions, this.blockHeights.get(block.previousHash) + 1);
+        if (coinbaseError) {
+            return { reason: 'bad-coinbase', message: coinbaseError };
+        }
+        const duplicate = findDuplicateTransaction(block.transactions);
+        if (duplicate) {
+            return { reason: 'duplicate-tx', message: `Transaction ${duplicate} is in the block more than once` };
+        }
+        const merkleRoot = getMerkleRoot(block.transactions);
+        if (block.merkleRoot !== merkleRoot) {
+            return { reason: 'bad-merkle', message: `Merkle root ${block.merkleRoot} does not match the transactions, expected ${merkleRoot}` };
+        }
+        const transactionError = this.checkBlockTransactions(block.transactions, block.creator);
+        if (transactionError) {
+            return { reason: 'invalid-tx', message: transactionError };
+        }
+        return null;
+    }
+    
     // Get a transaction from the pending pool by ID
     getTransaction(txId) {
         return this.transactions.get(txId);
@@ -559,6 +1366,7 @@ export class InventoryManager {
             consensus: {
                 currentHead: this.blockchainHead,
                 chainHeight: chainHeight,
+                chainWork: this.getChainWork(this.blockchainHead).toString(),
                 totalBlocks: this.blocks.size,
                 forkedBlocks: this.blocks.size - (chainHeight + 1) // +1 for genesis
             }
@@ -570,146 +1378,226 @@ export class InventoryManager {
         return Object.fromEntries(this.balances);
     }
     
+    // Get confirmed nonces of all senders
+    getNonces() {
+        return Object.fromEntries(this.nonces);
+    }
+    
     // Get balance for a specific node
     getBalance(nodeId) {
         return this.balances.get(nodeId) || 0;
     }
 
+    // What we tell peers about our chain in the handshake
+    getChainInfo() {
+        return {
+            genesisHash: this.genesisHash,
+            bestHeight: this.blockchainHead ? this.blockHeights.get(this.blockchainHead) : 0
+        };
+    }
+
+    // Requests to peers carry our node id so the receiver knows whom to ask for data it is missing
+    getRequestHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            ...(this.nodeId && { 'X-Node-Id': this.nodeId })
+        };
+    }
+
     propagateBlock(block) {
+        console.log(`Announcing block ${block.hash} to peers`);
+        this.announceToPeers({ blocks: [block.hash] }, { type: 'block', path: '/block', data: block });
+    }
+
+    propagateTransaction(tx) {
+        console.log(`Announcing transaction ${tx.id} to peers`);
+        this.announceToPeers({ transactions: [tx.id] }, { type: 'transaction', path: '/inv', data: tx });
+    }
+    
+    // Tell every active peer about new blocks or transactions by hash/id only. Each peer fetches the ones
+    // it doesn't have with POST /getdata, so a block crosses every link once instead of being pushed back
+    // and forth. Peers that didn't advertise 'announce' in the handshake get the full object pushed instead.
+    // Both go over the peer's WebSocket link if there is one, otherwise over HTTP. A peer we have a link with
+    // never gets them over HTTP, not even when sending over the link fails: they would go in the clear
+    async announceToPeers(announcement, push) {
         const peers = getActivePeers();
-        console.log('Propagating block to peers:', peers.length);
+        console.log(`Announcing ${JSON.stringify(announcement)} to ${peers.length} peers`);
+        const body = JSON.stringify({ nodeId: this.nodeId, port: this.nodePort, ...announcement });
+        
+        const announce = async (peer) => {
+            if (!peerSupports(peer, 'announce')) {
+                return this.pushToPeer(peer, push);
+            }
+            if (sendToPeer(peer, 'announce', announcement)) {
+                return true;
+            }
+            if (hasPeerLink(peer)) {
+                return false;
+            }
+            try {
+                const response = await fetch(`http://${peer.ip}:${peer.port}/announce`, {
+                    method: 'POST',
+                    headers: this.getRequestHeaders(),
+                    body,
+                    // Add timeout to avoid hanging requests
+                    signal: AbortSignal.timeout(5000)
+                });
+                
+                if (!response.ok) {
+                    console.error(`Failed to announce to peer ${peer.id}: HTTP ${response.status}`);
+                    return false;
+                }
+                
+                console.log(`Successfully announced to peer ${peer.id}`);
+                peer.lastSeen = Date.now();
+                // Reset retries on successful connection
+                peer.retries = 0;
+                return true;
+            } catch (error) {
+                console.error(`Failed to announce to peer ${peer.id}:`, error.message);
+                return false;
+            }
+        };
         
-        // Array to track failed peers for retry
-        const failedPeers = [];
+        const results = await Promise.all(peers.map(announce));
+        const failedPeers = peers.filter((peer, index) => !results[index]);
+        failedPeers.forEach(peer => peer.retries = (peer.retries || 0) + 1);
+        if (failedPeers.length === 0) return;
         
-        // Send to each peer with retry mechanism
-        peers.forEach(peer => {
-            console.log(`Attempting to send block to peer ${peer.id}`);
-            fetch(`http://${peer.ip}:${peer.port}/block`, {
+        // Retry once after a short delay for any failed peers
+        await new Promise(resolve => setTimeout(resolve, 5000)); // Retry after 5 seconds
+        console.log(`Retrying announcement to ${failedPeers.length} failed peers`);
+        for (const peer of failedPeers) {
+            // Only retry if the peer hasn't exceeded retry limit
+            if (peer.retries < 3 && await announce(peer)) {
+                console.log(`Retry successful for peer ${peer.id}`);
+                continue;
+            }
+            
+            peer.retries++;
+            // If we've exceeded retry limit, remove peer and try to replace it
+            if (peer.retries >= 3) {
+                console.log(`Removing peer ${peer.id} after multiple failed retries`);
+                removePeer(peer.id);
+            }
+        }
+    }
+    
+    // Old push protocol: send the whole block or transaction. push is { type, path, data }: the
+    // WebSocket message type and the HTTP route to POST it to
+    async pushToPeer(peer, { type, path, data }) {
+        if (sendToPeer(peer, type, data)) {
+            return true;
+        }
+        if (hasPeerLink(peer)) {
+            return false;
+        }
+        try {
+            const response = await fetch(`http://${peer.ip}:${peer.port}${path}`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(block),
-                // Add timeout to avoid hanging requests
+                headers: this.getRequestHeaders(),
+                body: JSON.stringify(data),
                 signal: AbortSignal.timeout(5000)
-            }).then(response => {
-                if (response.ok) {
-                    console.log(`Successfully sent block to peer ${peer.id}`);
-                    peer.lastSeen = Date.now();
-                    // Reset retries on successful connection
-                    peer.retries = 0;
-                } else {
-                    console.error(`Failed to send block to peer ${peer.id}: HTTP ${response.status}`);
-                    peer.retries = (peer.retries || 0) + 1;
-                    failedPeers.push(peer);
-                }
-            }).catch((error) => {
-                console.error(`Failed to send block to peer ${peer.id}:`, error);
-                peer.retries = (peer.retries || 0) + 1;
-                failedPeers.push(peer);
             });
-        });
-        
-        // Retry once after a short delay for any failed peers
-        if (failedPeers.length > 0) {
-            setTimeout(() => {
-                console.log(`Retrying block propagation to ${failedPeers.length} failed peers`);
-                failedPeers.forEach(peer => {
-                    // Only retry if the peer hasn't exceeded retry limit
-                    if (peer.retries < 3) {
-                        fetch(`http://${peer.ip}:${peer.port}/block`, {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify(block)
-                        }).then(() => {
-                            console.log(`Retry successful for peer ${peer.id}`);
-                            peer.lastSeen = Date.now();
-                            peer.retries = 0;
-                        }).catch((error) => {
-                            console.error(`Retry failed for peer ${peer.id}:`, error);
-                            peer.retries++;
-                            
-                            // If we've exceeded retry limit, remove peer and try to replace it
-                            if (peer.retries >= 3) {
-                                console.log(`Removing peer ${peer.id} after multiple failed retries`);
-                                removePeer(peer.id);
-                            }
-                        });
-                    } else {
-                        console.log(`Skipping retry for peer ${peer.id} (too many retries)`);
-                        removePeer(peer.id);
-                    }
-                });
-            }, 5000); // Retry after 5 seconds
+            if (!response.ok) {
+                console.error(`Failed to push ${path} to peer ${peer.id}: HTTP ${response.status}`);
+                return false;
+            }
+            peer.lastSeen = Date.now();
+            peer.retries = 0;
+            return true;
+        } catch (error) {
+            console.error(`Failed to push ${path} to peer ${peer.id}:`, error.message);
+            return false;
         }
     }
-
-    propagateTransaction(tx) {
-        const peers = getActivePeers();
-        console.log('Propagating transaction to peers:', peers.length);
+    
+    hasBlock(hash) {
+        return this.blocks.has(hash) || this.seenMessages.has(hash) || this.orphanBlocks.has(hash);
+    }
+    
+    // A peer announced blocks and transactions. Returns the hashes/ids we will request from it: those we
+    // don't have and aren't already fetching from another peer. The fetch itself runs in the background
+    handleAnnouncement(announcement, peer) {
+        this.pruneOrphanBlocks();
+        const isNew = (requests, id) => typeof id === 'string' && !requests.has(id);
         
-        // Array to track failed peers for retry
-        const failedPeers = [];
+        const blocks = (Array.isArray(announcement.blocks) ? announcement.blocks : [])
+            .slice(0, MAX_ANNOUNCED_ITEMS)
+            .filter(hash => isNew(this.requestedBlocks, hash) && !this.hasBlock(hash));
+        const transactions = (Array.isArray(announcement.transactions) ? announcement.transactions : [])
+            .slice(0, MAX_ANNOUNCED_ITEMS)
+            .filter(id => isNew(this.requestedTransactions, id) && !this.seenMessages.has(id));
         
-        // Send to each peer with retry mechanism
-        peers.forEach(peer => {
-            console.log(`Attempting to send transaction to peer ${peer.id} at ${peer.ip}:${peer.port}`);
-            fetch(`http://${peer.ip}:${peer.port}/inv`, {
+        if (blocks.length > 0 || transactions.length > 0) {
+            blocks.forEach(hash => this.requestedBlocks.set(hash, Date.now()));
+            transactions.forEach(id => this.requestedTransactions.set(id, Date.now()));
+            this.fetchAnnouncedData(blocks, transactions, peer);
+        }
+        return { blocks, transactions };
+    }
+    
+    // Fetch announced objects from the announcing peer and add them like pushed ones. Over a WebSocket link
+    // the peer answers the getdata message with block and transaction messages; the requests are
+    // forgotten by pruneOrphanBlocks if nothing comes. Otherwise we ask with POST /getdata, but never a peer
+    // we have a link with
+    async fetchAnnouncedData(blocks, transactions, peer) {
+        if (sendToPeer(peer, 'getdata', { blocks, transactions })) {
+            console.log(`Requested ${blocks.length} blocks and ${transactions.length} transactions from peer ${peer.id} over its WebSocket link`);
+            return;
+        }
+        try {
+            if (hasPeerLink(peer)) {
+                console.log(`WebSocket link to peer ${peer.id} is closing, not requesting the announced data`);
+                return;
+            }
+            console.log(`Requesting ${blocks.length} blocks and ${transactions.length} transactions from peer ${peer.id}`);
+            const response = await fetch(`http://${peer.ip}:${peer.port}/getdata`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(tx),
-                // Add timeout to avoid hanging requests
+                headers: this.getRequestHeaders(),
+                body: JSON.stringify({ blocks, transactions }),
                 signal: AbortSignal.timeout(5000)
-            }).then(response => {
-                if (response.ok) {
-                    console.log(`Successfully sent transaction to peer ${peer.id}`);
-                    peer.lastSeen = Date.now();
-                    // Reset retries on successful connection
-                    peer.retries = 0;
-                } else {
-                    console.error(`Failed to send transaction to peer ${peer.id}: HTTP ${response.status}`);
-                    peer.retries = (peer.retries || 0) + 1;
-                    failedPeers.push(peer);
-                }
-            }).catch((error) => {
-                console.error(`Failed to send transaction to peer ${peer.id}:`, error);
-                peer.retries = (peer.retries || 0) + 1;
-                failedPeers.push(peer);
             });
-        });
-        
-        // Retry once after a short delay for any failed peers
-        if (failedPeers.length > 0) {
-            setTimeout(() => {
-                console.log(`Retrying transaction propagation to ${failedPeers.length} failed peers`);
-                failedPeers.forEach(peer => {
-                    // Only retry if the peer hasn't exceeded retry limit
-                    if (peer.retries < 3) {
-                        fetch(`http://${peer.ip}:${peer.port}/inv`, {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify(tx)
-                        }).then(() => {
-                            console.log(`Retry successful for peer ${peer.id}`);
-                            peer.lastSeen = Date.now();
-                            peer.retries = 0;
-                        }).catch((error) => {
-                            console.error(`Retry failed for peer ${peer.id}:`, error);
-                            peer.retries++;
-                            
-                            // If we've exceeded retry limit, remove peer and try to replace it
-                            if (peer.retries >= 3) {
-                                console.log(`Removing peer ${peer.id} after multiple failed retries`);
-                                removePeer(peer.id);
-                            }
-                        });
-                    } else {
-                        console.log(`Skipping retry for peer ${peer.id} (too many retries)`);
-                        removePeer(peer.id);
-                    }
-                });
-            }, 5000); // Retry after 5 seconds
+            if (!response.ok) {
+                console.log(`Failed to get announced data from peer ${peer.id}: HTTP ${response.status}`);
+                return;
+            }
+            
+            const data = await response.json();
+            peer.lastSeen = Date.now();
+            const receivedBlocks = Array.isArray(data.blocks) ? data.blocks : [];
+            const receivedTransactions = Array.isArray(data.transactions) ? data.transactions : [];
+            
+            // In the order they were announced, so parents are added before their children
+            for (const hash of blocks) {
+                const block = receivedBlocks.find(b => b && b.hash === hash);
+                if (block) this.addBlock(block, peer);
+            }
+            for (const id of transactions) {
+                const tx = receivedTransactions.find(t => t && t.id === id);
+                if (tx) this.addTransaction(tx, true, peer);
+            }
+        } catch (error) {
+            console.log(`Failed to get announced data from peer ${peer.id}: ${error.message}`);
+        } finally {
+            // Whatever didn't arrive may be requested again from the next peer that announces it
+            blocks.forEach(hash => this.requestedBlocks.delete(hash));
+            transactions.forEach(id => this.requestedTransactions.delete(id));
         }
     }
+    
+    // Answer a peer's POST /getdata with the requested blocks and pending transactions we have
+    getData(request) {
+        const blocks = (Array.isArray(request.blocks) ? request.blocks : [])
+            .slice(0, MAX_ANNOUNCED_ITEMS)
+            .map(hash => this.blocks.get(hash))
+            .filter(Boolean);
+        const transactions = (Array.isArray(request.transactions) ? request.transactions : [])
+            .slice(0, MAX_ANNOUNCED_ITEMS)
+            .map(id => this.transactions.get(id))
+            .filter(Boolean);
+        return { blocks, transactions };
+    }
 
     getAllBlocks() {
         // Return all blocks, sorted by their height if available
@@ -723,6 +1611,51 @@ export class InventoryManager {
         });
     }
     
+    // Main chain headers following the first locator hash that is on our main chain (from genesis if
+    // none is), for peers doing a headers-first sync
+    getHeaders(locator, limit) {
+        const mainChain = this.getMainChain();
+        const positions = new Map(mainChain.map((block, index) => [block.hash, index]));
+        
+        let start = 0;
+        for (const hash of locator) {
+            if (positions.has(hash)) {
+                start = positions.get(hash) + 1;
+                break;
+            }
+        }
+        
+        const chainHeight = this.blockHeights.get(this.blockchainHead) || 0;
+        return {
+            headers: mainChain.slice(start, start + limit).map(block => ({ ...getBlockHeader(block), hash: block.hash })),
+            chainHeight,
+            chainWork: this.getChainWork(this.blockchainHead).toString()
+        };
+    }
+    
+    // Merkle inclusion proof for a transaction in the main chain, null if it isn't confirmed.
+    // With the returned header a client can check the proof without downloading the block
+    getTransactionProof(txId) {
+        for (const block of this.getMainChain()) {
+            const index = (block.transactions || []).findIndex(tx => tx.id === txId);
+            if (index === -1) continue;
+            
+            const transaction = block.transactions[index];
+            return {
+                txId,
+                txHash: getTransactionHash(transaction),
+                transaction,
+                blockHash: block.hash,
+                height: this.blockHeights.get(block.hash),
+                merkleRoot: block.merkleRoot,
+                index,
+                proof: getMerkleProof(block.transactions, index),
+                header: getBlockHeader(block)
+            };
+        }
+        return null;
+    }
+    
     // Get blocks in the main chain only (the consensus chain)
     getMainChain() {
         if (!this.blockchainHead) return [];
@@ -738,10 +1671,11 @@ export class InventoryManager {
     propagatePeerList() {
         const peers = getActivePeers();
         peers.forEach(peer => {
-            // Send to /sync endpoint instead of /peers
+            // Over the peer's link if we have one, otherwise to the /sync endpoint
+            if (sendToPeer(peer, 'peers', { peers }) || hasPeerLink(peer)) return;
             fetch(`http://${peer.ip}:${peer.port}/sync`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.getRequestHeaders(),
                 body: JSON.stringify({ peers: peers }),
                 signal: AbortSignal.timeout(5000) // Add timeout to avoid hanging requests
             }).then(response => {
@@ -771,89 +1705,49 @@ export class InventoryManager {
         });
     }
     
-    // Periodic inventory synchronization with active peers
+    // Periodic inventory synchronization with active peers.
+    // Nothing a peer sends is trusted: blocks and transactions go through the same validation as when they are
+    // pushed to us, and a peer that sends invalid data gets a misbehaviour penalty
     async syncInventoryWithPeers() {
         const peers = getActivePeers();
         if (peers.length === 0) return;
         
         console.log(`Syncing inventory with ${peers.length} active peers`);
         
+        // Blocks first, so the pending transactions below are checked against the balances of the best chain.
+        // The headers-first sync validates, connects and runs fork choice on every block it downloads
+        await this.chainSync.synchronize();
+        
         // Use a properly time-limited fetch for each peer
         for (let i = 0; i < peers.length; i++) {
             const peer = peers[i];
             try {
                 console.log(`Requesting inventory from peer ${peer.id}`);
-                // Use AbortSignal with timeout to prevent hanging requests
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-                
-                const response = await fetch(`http://${peer.ip}:${peer.port}/inventory`, {
-                    signal: controller.signal
-                });
-                
-                clearTimeout(timeoutId); // Clear the timeout if fetch completed
-                
-                if (!response.ok) {
-                    console.error(`Failed to get inventory from peer ${peer.id}: HTTP ${response.status}`);
-                    peer.retries = (peer.retries || 0) + 1;
-                    continue;
-                }
-                
-                const peerInventory = await response.json();
+                // Over a link only the pending transactions are sent, that is all we use of the answer
+                const peerInventory = await requestFromPeer(peer, '/inventory', 5000);
                 peer.lastSeen = Date.now();
                 peer.retries = 0; // Reset retries on successful connection
                 
                 // Process transactions from peer
                 if (peerInventory.transactions && Array.isArray(peerInventory.transactions)) {
                     console.log(`Received ${peerInventory.transactions.length} transactions from peer ${peer.id}`);
-                    peerInventory.transactions.forEach(tx => {
-                        if (tx && tx.id && !this.seenMessages.has(tx.id)) {
-                            // Add to our inventory without re-propagating
-                            this.transactions.set(tx.id, tx);
-                            this.seenMessages.add(tx.id);
+                    
+                    // Lowest nonces first: a sender's later transactions are only valid after the earlier ones
+                    const newTransactions = peerInventory.transactions
+                        .filter(tx => tx && tx.id && !this.seenMessages.has(tx.id))
+                        .sort((a, b) => (Number(a.nonce) || 0) - (Number(b.nonce) || 0));
+                    
+                    for (const tx of newTransactions) {
+                        // Add to our inventory without re-propagating
+                        if (this.addTransaction(tx, false, peer)) {
                             console.log(`Added missing transaction ${tx.id} from peer ${peer.id}`);
                         }
-                    });
-                }
-                
-                // Process blocks from peer
-                if (peerInventory.blocks && Array.isArray(peerInventory.blocks)) {
-                    // For blocks, we may only have hashes in the inventory response
-                    // We need to fetch any blocks we don't have
-                    for (const blockId of peerInventory.blocks) {
-                        if (!this.blocks.has(blockId) && !this.seenMessages.has(blockId)) {
-                            try {
-                                // Use timeout for block fetch as well
-                                const blockController = new AbortController();
-                                const blockTimeoutId = setTimeout(() => blockController.abort(), 5000);
-                                
-                                const blockResponse = await fetch(`http://${peer.ip}:${peer.port}/getblocks?hash=${blockId}`, {
-                                    signal: blockController.signal
-                                });
-                                
-                                clearTimeout(blockTimeoutId);
-                                
-                                if (blockResponse.ok) {
-                                    const blocks = await blockResponse.json();
-                                    if (Array.isArray(blocks)) {
-                                        blocks.forEach(block => {
-                                            if (block && !this.seenMessages.has(block.hash)) {
-                                                // Add to our inventory without re-propagating
-                                                this.blocks.set(block.hash, block);
-                                                this.seenMessages.add(block.hash);
-                                                console.log(`Added missing block ${block.hash} from peer ${peer.id}`);
-                                            }
-                                        });
-                                    }
-                                }
-                            } catch (blockError) {
-                                console.log(`Failed to fetch block ${blockId} from peer ${peer.id}`);
-                            }
-                        }
                     }
                 }
+                
             } catch (error) {
-                console.log(`Error syncing with peer ${peer.id}`);
+                console.log(`Error syncing with peer ${peer.id}: ${error.message}`);
+                if (error.status === 429) continue; // Rate limited, not unresponsive
                 peer.retries = (peer.retries || 0) + 1;
                 
                 // If we've failed to connect 3+ times, remove this peer from our active connections
@@ -869,10 +1763,11 @@ export class InventoryManager {
                 }
             }
         }
+        
     }
 }
 
-setInterval(() => inventory.propagatePeerList(), 45000);
+setInterval(() => inventory.propagatePeerList(), 45000).unref();
 
 export const inventory = new InventoryManager();
 
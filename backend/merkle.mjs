@@ -0,0 +1,85 @@
+// merkle.mjs
+// Merkle tree over a block's transactions, shared by the node and the miner
+import crypto from 'crypto';
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+export function getTransactionHash(tx) {
+    return sha256(JSON.stringify(tx));
+}
+
+// Hash the level below in pairs. An odd last hash is paired with itself
+function getNextLevel(hashes) {
+    const level = [...hashes];
+    if (level.length % 2 !== 0) {
+        level.push(level[level.length - 1]);
+    }
+    const nextLevel = [];
+    for (let i = 0; i < level.length; i += 2) {
+        nextLevel.push(sha256(level[i] + level[i + 1]));
+    }
+    return nextLevel;
+}
+
+export function getMerkleRoot(transactions) {
+    if (transactions.length === 0) return '';
+
+    let allTxsHashes = transactions.map(getTransactionHash);
+
+    // Võtame paarikaupa ehk nt.
+    // step.1 hAB = hash(hA + hB), h(CD) = hash(hC + hD)
+    // step.2 merkleRoot = hash(hAB + hCD)
+    while (allTxsHashes.length > 1) {
+        allTxsHashes = getNextLevel(allTxsHashes);
+    }
+    return allTxsHashes[0];
+}
+
+// Because the odd last hash is paired with itself, repeating the last transaction(s) of a list gives the same root:
+// [a, b, c] and [a, b, c, c] can't be told apart by it. Blocks with a repeated transaction are refused before their
+// root is compared, so a copy of a valid block with such a list can't pass as (and take the place of) the real one.
+// Returns the id of the first transaction that appears twice (by id, or by content if it has none), or null
+export function findDuplicateTransaction(transactions) {
+    const seen = new Set();
+    for (const tx of transactions) {
+        const key = tx && typeof tx.id === 'string' ? tx.id : getTransactionHash(tx);
+        if (seen.has(key)) return key;
+        seen.add(key);
+    }
+    return null;
+}
+
+// Sibling hashes on the way from the transaction at index up to the root.
+// position tells on which side the sibling goes when the two are hashed together
+export function getMerkleProof(transactions, index) {
+    if (index < 0 || index >= transactions.length) return null;
+
+    const proof = [];
+    let level = transactions.map(getTransactionHash);
+    let position = index;
+
+    while (level.length > 1) {
+        const isRight = position % 2 === 1;
+        const siblingIndex = isRight ? position - 1 : position + 1;
+        proof.push({
+            hash: level[siblingIndex] ?? level[position], // The odd last hash is its own sibling
+            position: isRight ? 'left' : 'right'
+        });
+        level = getNextLevel(level);
+        position = Math.floor(position / 2);
+    }
+    return proof;
+}
+
+// Recompute the root from a transaction hash and its proof, true if it matches the block's merkleRoot
+export function verifyMerkleProof(txHash, proof, merkleRoot) {
+    if (!Array.isArray(proof)) return false;
+
+    let hash = txHash;
+    for (const step of proof) {
+        hash = step.position === 'left' ? sha256(step.hash + hash) : sha256(hash + step.hash);
+    }
+    return hash === merkleRoot;
+}
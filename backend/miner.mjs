@@ -1,212 +1,90 @@
-import {inventory} from './inventory.mjs';
-import crypto from 'crypto';
+import { getLocalAddress } from './address.mjs';
+import { searchNonce } from './consensus.mjs';
+import { runPoolMiner } from './pool-miner.mjs';
 
-function sha256(data) {
-    return crypto.createHash('sha256').update(data).digest('hex');
-}
-
-function getMerkleRoot(transactions) {
-    if (transactions.length === 0) return'';
-
-    let allTxsHashes = transactions.map(tx => sha256(JSON.stringify(tx)));
-
-    // Võtame paarikaupa ehk nt.
-    // step.1 hAB = hash(hA + hB), h(CD) = hash(hC + hD)
-    // step.2 merkleRoot = hash(hAB + hCD)
-    while(allTxsHashes.length > 1) {
-        if (allTxsHashes.length % 2 !== 0) {
-            // Kui on paaritu arv hashe siis pushime viimase hashi topelt
-            allTxsHashes.push(allTxsHashes[allTxsHashes.length - 1]);
-        }
-        const newHashes = []
-        for (let i = 0; i < allTxsHashes.length; i+=2) {
-            const combined = allTxsHashes[i] + allTxsHashes[i + 1];
-            newHashes.push(sha256(combined));
-        }
-        allTxsHashes = newHashes;
-    }
-    return allTxsHashes[0];
-}
-
-export async function mineBlock(nodeId, previousHash = '', blockNumber = 1, difficulty = 4, localPort = 3000, useLocalhost = true) {
+export async function mineBlock(nodeId, previousHash = '', blockNumber = 1, localPort = 3000, useLocalhost = true) {
     console.log(`\n=== MINING BLOCK DEBUG ===`);
     console.log(`Mining with parameters:`);
     console.log(`  nodeId: ${nodeId}`);
     console.log(`  previousHash: ${previousHash || 'not provided'}`);
     console.log(`  localPort: ${localPort}`);
     
-    const ip = useLocalhost ? '127.0.0.1' : await fetch('https://api.ipify.org').then(r => r.text());
-    let pendingTxs = [];
-    let prevBlock = null;
-    let prevHash = previousHash; // Use the provided hash if given
+    const ip = useLocalhost ? '127.0.0.1' : getLocalAddress();
+    let template;
 
     try {
-        // First get inventory to check blockchain state
-        const inventoryResponse = await fetch(`http://${ip}:${localPort}/inventory`);
-        const inventoryData = await inventoryResponse.json();
-        
-        // Get consensus info if available
-        if (inventoryData.consensus) {
-            console.log(`Current blockchain state: head=${inventoryData.consensus.currentHead}, height=${inventoryData.consensus.chainHeight}`);
-        }
-        
-        // Get pending transactions
-        pendingTxs = inventoryData.transactions || [];
-        console.log(`Retrieved ${pendingTxs.length} pending transactions from node`);
-        
-        // Only continue if there are transactions to mine
-        if (pendingTxs.length === 0) {
-            console.log("No transactions to mine - exiting mining process");
+        // The node assembles the block on its consensus head: a coinbase paying us, then the highest paying
+        // valid set of pending transactions (as many as its mining.maxBlockTransactions setting allows)
+        const response = await fetch(`http://${ip}:${localPort}/mining/template?address=${nodeId}`);
+        template = await response.json();
+
+        if (!response.ok) {
+            console.log(`Node has no block template (${template.error}) - exiting mining process`);
             return null;
         }
-        
-        // Limit number of transactions per block for stability
-        const MAX_TX_PER_BLOCK = 10;
-        if (pendingTxs.length > MAX_TX_PER_BLOCK) {
-            console.log(`Limiting block to ${MAX_TX_PER_BLOCK} transactions for stability (out of ${pendingTxs.length} pending)`);
-            pendingTxs = pendingTxs.slice(0, MAX_TX_PER_BLOCK);
-        }
     } catch (error) {
-        console.error('Failed to fetch transactions/inventory from node:', error.message);
+        console.error('Failed to fetch a block template from node:', error.message);
         return null;
     }
 
-    // If no previous hash was provided, get the current blockchain head
-    if (!prevHash) {
-        try {
-            const response = await fetch(`http://${ip}:${localPort}/getblocks`);
-            var blocksData = await response.json();
-    
-            console.log(`Retrieved ${blocksData.length} blocks from node`);
-            
-            if (blocksData.length > 0) {
-                // Get the last block in the chain (blockchain head)
-                prevBlock = blocksData[blocksData.length - 1];
-                prevHash = prevBlock.hash;
-    
-                console.log(`Using previous block hash: ${prevHash}`);
-                console.log(`Previous block:`, JSON.stringify(prevBlock, null, 2));
-            } else {
-                console.log('WARNING: No previous blocks found, this will be a genesis block');
-                prevHash = "0000000000000000000000000000000000000000000000000000000000000000";
-            }
-        } catch (error) {
-            console.error('Failed to fetch blocks from node:', error.message);
-            console.log('WARNING: Using empty hash as fallback due to error');
-            prevHash = "";
-        }
-    }
-
-    const timestamp = new Date().toISOString();
-    const merkleRoot = getMerkleRoot(pendingTxs) // See on hash mis esindab koiki plokis olevaid transaktsioone. arvutatakse transaktsioonide hasidest kokku.
-
-    let nonce = 0; // Number only used once, this is used for POW. Every time when trying to find hash this number will be incremented
-    let hash = '';
-    let block = null;
-    const prefix = '0'.repeat(difficulty);
+    const block = template.block;
+    const pendingTxCount = block.transactions.length - 1; // Everything after the coinbase
+    console.log(`Retrieved template with ${pendingTxCount} fee-prioritised pending transactions from node`);
 
-    console.log(`Mining block with ${pendingTxs.length} pending transactions`);
+    // Only continue if there are transactions to mine
+    if (pendingTxCount === 0) {
+        console.log("No transactions to mine - exiting mining process");
+        return null;
+    }
 
-    while (true) {
-        nonce++;
-        block = {
-            previousHash: prevHash,
-            timestamp,
-            nonce: nonce.toString(),
-            creator: nodeId,
-            merkleRoot: merkleRoot,
-            count: pendingTxs.length,
-            transactions: pendingTxs,
-        }
+    if (previousHash && previousHash !== block.previousHash) {
+        console.log(`Previous hash ${previousHash} is not the node's head ${block.previousHash} - exiting mining process`);
+        return null;
+    }
+    console.log(`Using previous block hash: ${block.previousHash} (new block height ${template.height}, difficulty ${block.difficulty})`);
+
+    // A node running a pool (--pool) pays its workers for every block the pool finds, not only for their own,
+    // so we mine as one of its workers instead of on our own template
+    const nodeUrl = `http://${ip}:${localPort}`;
+    if (await isPoolRunning(nodeUrl)) {
+        console.log(`Node on port ${localPort} runs a mining pool, mining as one of its workers until we find a block`);
+        return runPoolMiner(nodeUrl, nodeId, { untilBlock: true });
+    }
 
-        const blockString = JSON.stringify({...block, hash: undefined});
-        hash = sha256(blockString + nonce);
+    console.log(`Mining block with ${block.transactions.length} transactions`);
 
-        if (hash.startsWith(prefix)) {
-            block.hash = hash;
-            break;
-        }
-        if (nonce % 10000 === 0) console.log(`Tried ${nonce} nonces so far...`);
-    }
+    // Search nonces 1, 2, 3, ... until the header hash has the number of leading zero bits the node expects
+    const { nonce, hash } = searchNonce(block, block.difficulty);
+    block.nonce = nonce;
+    block.hash = hash;
     console.log(`Block mined! Nonce: ${nonce}, Hash: ${hash}`);
 
     try {
-        const response = await fetch(`http://${ip}:${localPort}/block`, {
+        // The node tells us exactly why it refuses the block, e.g. stale when another block arrived meanwhile
+        const response = await fetch(`http://${ip}:${localPort}/mining/submit`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(block)
         });
+        const result = await response.json();
 
         if (response.ok) {
-            console.log(`Block sent to node on port ${localPort} successfully.`);
-            
-            // Wait a bit longer for block processing to complete
-            await new Promise(resolve => setTimeout(resolve, 300));
-            
-            // Verify block was actually added to blockchain
-            try {
-                const blockCheckResponse = await fetch(`http://${ip}:${localPort}/inventory`);
-                const inventoryData = await blockCheckResponse.json();
-                
-                console.log(`Verification - blockchain has ${inventoryData.blocks ? inventoryData.blocks.length : 0} blocks`);
-                console.log(`Verification - looking for block with hash: ${hash}`);
-                
-                // Check if our block is in the blockchain - check both blocks array and blockObjects array
-                const inBlocksArray = inventoryData.blocks && Array.isArray(inventoryData.blocks) && 
-                                      inventoryData.blocks.includes(hash);
-                                      
-                const inBlockObjectsArray = inventoryData.blockObjects && Array.isArray(inventoryData.blockObjects) &&
-                                            inventoryData.blockObjects.some(b => b && b.hash === hash);
-                
-                // For simulation - consider block added if we got a success response earlier
-                // This is a more aggressive approach to ensure simulation continues
-                const blockWasAdded = inBlocksArray || inBlockObjectsArray || response.ok;
-                
-                if (blockWasAdded) {
-                    if (inBlocksArray || inBlockObjectsArray) {
-                        console.log(`SUCCESS: Block ${hash} verified as added to blockchain`);
-                        if (inBlocksArray) console.log(`  - Found in blocks array`);
-                        if (inBlockObjectsArray) console.log(`  - Found in blockObjects array`);
-                    } else {
-                        console.log(`TENTATIVE SUCCESS: Block sent successfully, assuming it was added to blockchain`);
-                    }
-                    
-                    // Check pending transactions count after mining
-                    console.log(`Node has ${inventoryData.transactions.length} pending transactions left`);
-                    
-                    // Check if this block became the blockchain head
-                    if (inventoryData.consensus && inventoryData.consensus.currentHead) {
-                        const isHead = inventoryData.consensus.currentHead === hash;
-                        console.log(`Is this block the new blockchain head? ${isHead}`);
-                    }
-                    
-                    return block; // Success
-                } else {
-                    console.error(`FAILURE: Block appears to be missing from blockchain after mining!`);
-                    
-                    // Try to diagnose the issue
-                    if (inventoryData.blocks && Array.isArray(inventoryData.blocks)) {
-                        console.log(`Current block hashes in blockchain: ${inventoryData.blocks.slice(0, 5).join(', ')}${inventoryData.blocks.length > 5 ? '...' : ''}`);
-                    }
-                    
-                    if (inventoryData.blockObjects && inventoryData.blockObjects.length > 0) {
-                        console.log(`Last block in blockchain: ${JSON.stringify(inventoryData.blockObjects[inventoryData.blockObjects.length - 1], null, 2)}`);
-                    }
-                    
-                    // Check consensus data
-                    if (inventoryData.consensus) {
-                        console.log(`Consensus state: head=${inventoryData.consensus.currentHead}, height=${inventoryData.consensus.chainHeight}, totalBlocks=${inventoryData.consensus.totalBlocks}`);
-                    }
-                }
-            } catch (verifyErr) {
-                console.error(`Error verifying block addition:`, verifyErr.message);
-            }
-        } else {
-            console.error(`Failed to send block. HTTP ${response.status}`);
+            console.log(`SUCCESS: Block ${hash} accepted by node on port ${localPort} at height ${result.height}`);
+            return block;
         }
+        console.error(`FAILURE: Node rejected block ${hash} (${result.reason}): ${result.message}`);
     } catch (err) {
         console.error('Error sending block:', err.message);
     }
 
-    return block;
-}
\ No newline at end of file
+    return null;
+}
+
+async function isPoolRunning(nodeUrl) {
+    try {
+        const response = await fetch(`${nodeUrl}/pool/stats`);
+        return response.ok && (await response.json()).enabled === true;
+    } catch (error) {
+        return false;
+    }
+}
@@ -0,0 +1,61 @@
+// mining-worker.mjs
+// One hashing thread of the built-in miner (mining.mjs). It gets a job with the header of the block to mine and
+// tries the nonces startNonce, startNonce + step, ... so the threads of a miner never try the same nonce.
+// A new job replaces the current one right away, a null job stops the search
+import { parentPort } from 'worker_threads';
+import { createHeaderHasher, hashMeetsDifficulty } from './consensus.mjs';
+
+const BATCH_SIZE = 5000; // Hashes between looking for new messages and reporting progress
+
+let job = null;
+let searching = false;
+
+parentPort.on('message', message => {
+    job = message ? prepareJob(message) : null;
+    if (job && !searching) {
+        searching = true;
+        setImmediate(search);
+    }
+});
+
+function prepareJob({ jobId, header, difficulty, startNonce, step }) {
+    return { jobId, hashHeader: createHeaderHasher(header), difficulty, nonce: startNonce, step, ...getZeroPrefix(difficulty) };
+}
+
+// n leading zero bits means n / 4 zero hex digits, followed by a digit below 2^(4 - n % 4)
+function getZeroPrefix(difficulty) {
+    return { zeroDigits: Math.floor(difficulty / 4), digitLimit: 2 ** (4 - difficulty % 4) };
+}
+
+// Hash one batch of nonces, then give the event loop a chance to deliver a new job before the next one
+function search() {
+    const current = job;
+    if (!current) {
+        searching = false;
+        return;
+    }
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+        const nonce = String(current.nonce);
+        current.nonce += current.step;
+        const hash = current.hashHeader(nonce);
+
+        if (startsWithZeroBits(hash, current) && hashMeetsDifficulty(hash, current.difficulty)) {
+            parentPort.postMessage({ type: 'progress', hashes: i + 1 });
+            parentPort.postMessage({ type: 'found', jobId: current.jobId, nonce, hash });
+            job = null; // Wait for the next job, the miner sends one when the block is added
+            searching = false;
+            return;
+        }
+    }
+
+    parentPort.postMessage({ type: 'progress', hashes: BATCH_SIZE });
+    setImmediate(search);
+}
+
+function startsWithZeroBits(hash, { zeroDigits, digitLimit }) {
+    for (let i = 0; i < zeroDigits; i++) {
+        if (hash[i] !== '0') return false;
+    }
+    return digitLimit === 16 || parseInt(hash[zeroDigits], 16) < digitLimit;
+}
@@ -0,0 +1,170 @@
+// mining.mjs
+// Built-in miner: builds block templates straight from the inventory (our consensus head and the best paying
+// pending transactions) and searches for the nonce on worker threads (mining-worker.mjs), so hashing doesn't
+// block the node's HTTP server and peer links. Every new head restarts the search on top of it right away,
+// and new pending transactions are picked up in a fresh template shortly after they arrive
+import { Worker } from 'worker_threads';
+import { inventory } from './inventory.mjs';
+import { nodeEvents } from './events.mjs';
+import { getBlockHeader } from './consensus.mjs';
+
+export const MAX_MINING_THREADS = 64;
+const HASH_RATE_WINDOW = 10000; // Hash rate is averaged over the last 10 seconds
+const TEMPLATE_REFRESH_DELAY = 1000; // Wait for more transactions before rebuilding the template for a new one
+
+class MiningService {
+    constructor() {
+        this.address = null; // Receiver of the coinbase, our node id unless configured
+        this.threads = 1;
+        this.workers = [];
+        this.job = null; // { id, height, block } currently being searched
+        this.nextJobId = 1;
+        this.unsubscribe = null;
+        this.refreshTimer = null;
+        this.hashSamples = []; // { time, hashes } reported by the workers within the hash rate window
+        this.totalHashes = 0;
+        this.blocksFound = 0;
+        this.startedAt = null;
+    }
+
+    configure({ address, threads } = {}) {
+        if (address) this.address = address;
+        if (threads) this.threads = threads;
+    }
+
+    isRunning() {
+        return this.workers.length > 0;
+    }
+
+    start(threads = this.threads) {
+        if (this.isRunning()) {
+            if (threads === this.threads) return;
+            this.stop(); // Restart with the new thread count
+        }
+        this.threads = threads;
+        this.startedAt = Date.now();
+        this.hashSamples = [];
+        console.log(`Starting built-in miner with ${threads} thread(s), paying blocks to ${this.address}`);
+
+        for (let i = 0; i < threads; i++) {
+            const worker = new Worker(new URL('./mining-worker.mjs', import.meta.url));
+            worker.on('message', message => this.handleWorkerMessage(message));
+            worker.on('error', error => console.error(`Mining thread ${i} failed:`, error));
+            this.workers.push(worker);
+        }
+
+        this.unsubscribe = nodeEvents.subscribe(['head.changed', 'tx.added'], event => {
+            if (event.type === 'head.changed') {
+                this.newJob();
+            } else {
+                this.scheduleRefresh();
+            }
+        });
+        this.newJob();
+    }
+
+    stop() {
+        if (!this.isRunning()) return;
+        console.log(`Stopping built-in miner after ${this.totalHashes} hashes and ${this.blocksFound} blocks`);
+        this.unsubscribe();
+        this.unsubscribe = null;
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.job = null;
+        this.startedAt = null;
+        this.hashSamples = [];
+    }
+
+    // Build a template on our current head and hand it to every thread, each with its own nonces
+    newJob() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+
+        const template = inventory.createBlockTemplate(this.address);
+        if (!template) {
+            console.log('No blockchain head yet, the miner waits for the first block');
+            this.job = null;
+            this.workers.forEach(worker => worker.postMessage(null));
+            return;
+        }
+
+        this.job = { id: this.nextJobId++, ...template };
+        const { block } = template;
+        console.log(`Mining block ${template.height} on ${block.previousHash} with ${block.count} transactions at difficulty ${block.difficulty}`);
+        this.workers.forEach((worker, i) => worker.postMessage({
+            jobId: this.job.id,
+            header: getBlockHeader(block),
+            difficulty: block.difficulty,
+            startNonce: i + 1,
+            step: this.workers.length
+        }));
+    }
+
+    scheduleRefresh() {
+        if (this.refreshTimer) return;
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            if (this.isRunning()) this.newJob();
+        }, TEMPLATE_REFRESH_DELAY);
+    }
+
+    handleWorkerMessage(message) {
+        if (message.type === 'progress') {
+            this.totalHashes += message.hashes;
+            const now = Date.now();
+            this.hashSamples.push({ time: now, hashes: message.hashes });
+            while (now - this.hashSamples[0].time > HASH_RATE_WINDOW) {
+                this.hashSamples.shift();
+            }
+            return;
+        }
+
+        // A thread may still report a nonce for a template we have already replaced
+        if (message.type !== 'found' || !this.job || message.jobId !== this.job.id) return;
+
+        const block = { ...this.job.block, nonce: message.nonce, hash: message.hash };
+        this.job = null;
+        console.log(`Built-in miner found block ${block.hash} with nonce ${block.nonce}`);
+
+        // Adding the block moves our head, which starts the next job; if it was refused we start over ourselves
+        if (inventory.addBlock(block)) {
+            this.blocksFound++;
+        } else {
+            console.log(`Mined block ${block.hash} was not accepted`);
+        }
+        if (!this.job && this.isRunning()) {
+            this.newJob();
+        }
+    }
+
+    getHashRate() {
+        if (!this.startedAt) return 0;
+        const now = Date.now();
+        const hashes = this.hashSamples
+            .filter(sample => now - sample.time <= HASH_RATE_WINDOW)
+            .reduce((sum, sample) => sum + sample.hashes, 0);
+        const seconds = Math.min(HASH_RATE_WINDOW, now - this.startedAt) / 1000;
+        return seconds > 0 ? Math.round(hashes / seconds) : 0;
+    }
+
+    getStatus() {
+        return {
+            running: this.isRunning(),
+            threads: this.isRunning() ? this.workers.length : 0,
+            address: this.address,
+            hashRate: this.getHashRate(), // Hashes per second
+            totalHashes: this.totalHashes,
+            blocksFound: this.blocksFound,
+            job: this.job && {
+                height: this.job.height,
+                previousHash: this.job.block.previousHash,
+                difficulty: this.job.block.difficulty,
+                transactions: this.job.block.count
+            }
+        };
+    }
+}
+
+export const miningService = new MiningService();
@@ -1,22 +1,222 @@
 // network.mjs
 import fs from 'fs';
+import crypto from 'crypto';
+import { banList } from './bans.mjs';
+import { nodeEvents } from './events.mjs';
+import { checkHandshake, createHandshake, negotiateFeatures } from './handshake.mjs';
+import { acceptWebSocket, connectWebSocket, MAX_MESSAGE_SIZE } from './websocket.mjs';
+import { checkSignedHandshake, createKeyExchange, deriveSession } from './session.mjs';
+import { signMessage } from './wallet.mjs';
+import { addressManager } from './address.mjs';
 
-const PEER_EXCHANGE_INTERVAL = 30000; // 30 seconds
-export const PEER_TIMEOUT = 600000; // 10 minutes
-const MAX_INTERNAL_CONNECTIONS = 4;
-const MAX_EXTERNAL_CONNECTIONS = 4;
+// Defaults, the node's configuration (config.mjs) can change them at startup with configureNetwork
+export const networkParams = {
+    peerExchangeInterval: 30000, // 30 seconds
+    peerTimeout: 600000, // 10 minutes
+    maxInternalConnections: 4,
+    maxExternalConnections: 4
+};
 
 const PEER_FILE = 'peers.json'
+const SAVED_PEER_MAX_AGE = 24 * 60 * 60 * 1000; // Saved peers not seen for a day are dropped on load
+const RECONNECT_ATTEMPTS = 3;
+const RECONNECT_BASE_DELAY = 1000; // Doubled after every failed attempt
+const PING_INTERVAL = 30000; // Outgoing WebSocket links are pinged this often
+const SOCKET_TIMEOUT = 2 * PING_INTERVAL; // A link we got nothing over for this long is dead
+const PENDING_SESSION_TIMEOUT = 30000; // How long a peer has to open its link after the handshake
+const REQUEST_TIMEOUT = 10000; // Default time a peer has to answer a request
+const MAX_LINK_ANSWER = Math.floor(MAX_MESSAGE_SIZE * 3 / 4) - 1024; // Largest answer that still fits in one link message once encrypted
+
+let peerFile = PEER_FILE;
 
 const nodes = new Map();
 const activeConnections = new Map();
+const peerSockets = new Map(); // nodeId -> WebSocket link we opened to the peer
+const inboundSockets = new Map(); // nodeId -> WebSocket link the peer opened to us
+const messageHandlers = new Map(); // message type -> handler(data, peer) for messages arriving over WebSocket links
+const pendingSessions = new Map(); // sessionId -> { nodeId, port, session, createdAt } agreed in a handshake we answered
+const pendingRequests = new Map(); // request id -> { peerId, resolve, reject, timer } of requests we sent over links
+let nextRequestId = 1;
+const misbehaviorScores = new Map(); // nodeId -> accumulated penalty points for invalid data the peer sent us
+const BAN_SCORE = 100; // A peer reaching this misbehaviour score is banned
+
+// Penalty points per kind of invalid data received from a peer
+export const MISBEHAVIOR_PENALTIES = {
+    invalidBlock: 50,
+    invalidHeader: 50,
+    invalidTransaction: 10,
+    invalidPeerList: 20,
+    unconnectedOrphan: 10 // An orphan block whose parent the peer couldn't give us
+};
+
+export function configureNetwork(overrides = {}) {
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined) {
+            networkParams[key] = value;
+        }
+    }
+}
+
+// Our genesis hash and chain height for the handshake, set by index.mjs (the chain lives in the inventory)
+let getChainInfo = () => ({ genesisHash: null, bestHeight: 0 });
+let nodeWallet = null; // Our node key, signs our side of the handshake
+let messageLimiter = () => true;
+let requestHandler = () => null; // Answers GET requests arriving over WebSocket links, set by onPeerRequest
+
+export function setNodeWallet(wallet) {
+    nodeWallet = wallet;
+}
+
+export function setChainInfoProvider(provider) {
+    getChainInfo = provider;
+}
+
+// Decides whether a peer may send another WebSocket link message of a type; index.mjs charges the rate limit
+// buckets of the matching HTTP route
+export function setMessageLimiter(limiter) {
+    messageLimiter = limiter;
+}
+
+export function getLocalHandshake(selfNodeId) {
+    return createHandshake(selfNodeId, getChainInfo());
+}
+
+// Our side of POST /handshake: check the connecting node's signed handshake, then answer with our own and keep
+// the agreed session until the node opens its link. remoteIp is where the request came from, we tell the node
+// so it can learn its own address. Returns { reply } or { refusal }
+export function answerHandshake(remote, selfNodeId, remoteIp) {
+    const localHandshake = getLocalHandshake(selfNodeId);
+    const refusal = checkHandshake(remote, localHandshake) || checkSignedHandshake(remote) ||
+        (remote.to !== selfNodeId ? 'handshake is meant for another node' : null);
+    if (refusal) {
+        return { refusal };
+    }
+
+    const exchange = createKeyExchange();
+    let session;
+    try {
+        session = deriveSession(exchange, remote.ephemeralKey, false);
+    } catch (error) {
+        return { refusal: `invalid key exchange: ${error.message}` };
+    }
+
+    removeExpiredSessions();
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    pendingSessions.set(sessionId, { nodeId: remote.nodeId, port: remote.port, session, createdAt: Date.now() });
+    recordHandshake(remote.nodeId, remote);
+
+    const reply = signMessage({
+        ...localHandshake,
+        ephemeralKey: exchange.publicKey,
+        peerEphemeralKey: remote.ephemeralKey, // Ties our signature to this key exchange
+        sessionId,
+        observedIp: remoteIp,
+        timestamp: Date.now()
+    }, nodeWallet);
+    return { reply };
+}
+
+function removeExpiredSessions() {
+    const now = Date.now();
+    for (const [sessionId, pending] of pendingSessions) {
+        if (now - pending.createdAt > PENDING_SESSION_TIMEOUT) pendingSessions.delete(sessionId);
+    }
+}
+
+// Remember what a peer told us in its handshake. features are only the ones we support as well
+export function recordHandshake(peerId, handshake) {
+    const info = {
+        version: handshake.version,
+        networkId: handshake.networkId,
+        bestHeight: handshake.bestHeight,
+        features: negotiateFeatures(handshake.features)
+    };
+    [nodes.get(peerId), activeConnections.get(peerId)].forEach(peer => {
+        if (peer) Object.assign(peer, info);
+    });
+    return info;
+}
+
+export function peerSupports(peer, feature) {
+    return Boolean(peer && Array.isArray(peer.features) && peer.features.includes(feature));
+}
 
 // Save peers every 60 seconds
-function savePeers() {
-    fs.writeFileSync(PEER_FILE, JSON.stringify(Array.from(nodes.values()), null, 2));
+export function savePeers() {
+    fs.writeFileSync(peerFile, JSON.stringify(Array.from(nodes.values()), null, 2));
 }
 
-setInterval(savePeers, 60000);
+setInterval(savePeers, 60000).unref();
+
+// Read the peer table saved by a previous run; from now on peers are also saved to this file
+export function loadSavedPeers(file) {
+    peerFile = file;
+    if (!fs.existsSync(peerFile)) {
+        return [];
+    }
+
+    let saved;
+    try {
+        saved = JSON.parse(fs.readFileSync(peerFile, 'utf8'));
+    } catch (error) {
+        console.error(`Failed to read saved peers from ${peerFile}:`, error.message);
+        return [];
+    }
+
+    const now = Date.now();
+    const freshPeers = (Array.isArray(saved) ? saved : []).filter(peer =>
+        peer && peer.id && peer.ip && peer.port && now - peer.lastSeen < SAVED_PEER_MAX_AGE
+    );
+
+    console.log(`Loaded ${freshPeers.length} saved peers from ${peerFile} (${saved.length - freshPeers.length} stale entries dropped)`);
+    return freshPeers;
+}
+
+// Try to reconnect to saved peers, retrying each with exponential backoff.
+// Returns the number of peers we managed to connect to
+export async function reconnectSavedPeers(savedPeers, selfInfo) {
+    console.log(`Reconnecting to ${savedPeers.length} saved peers`);
+
+    const results = await Promise.all(savedPeers
+        .filter(saved => saved.id !== selfInfo.nodeId)
+        .map(async (saved) => {
+            const peer = nodes.get(saved.id) || {
+                id: saved.id,
+                ip: saved.ip,
+                port: saved.port,
+                lastSeen: saved.lastSeen,
+                retries: 0,
+                group: determineGroup(saved.id)
+            };
+            nodes.set(peer.id, peer);
+
+            for (let attempt = 0; attempt < RECONNECT_ATTEMPTS; attempt++) {
+                if (attempt > 0) {
+                    // Exponential backoff, or longer if the peer rate limited us and asked us to wait
+                    const delay = Math.max(RECONNECT_BASE_DELAY * 2 ** (attempt - 1), (peer.backoffUntil || 0) - Date.now());
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+
+                const retriesBefore = peer.retries;
+                if (await tryEstablishConnection(peer, selfInfo)) {
+                    peer.lastSeen = Date.now();
+                    return true;
+                }
+
+                // No new failure recorded (and no rate limit) means we were turned away by our own connection limits
+                if (peer.retries === retriesBefore && !(peer.backoffUntil > Date.now())) {
+                    return false;
+                }
+            }
+
+            console.log(`Saved peer ${peer.id} (${peer.ip}:${peer.port}) did not answer after ${RECONNECT_ATTEMPTS} attempts`);
+            return false;
+        }));
+
+    const connected = results.filter(Boolean).length;
+    console.log(`Reconnected to ${connected} of ${savedPeers.length} saved peers`);
+    return connected;
+}
 
 export async function bootstrap(initialPeers, selfInfo) {
     const selfGroup = determineGroup(selfInfo.nodeId);
@@ -39,23 +239,29 @@ export async function bootstrap(initialPeers, selfInfo) {
         
         try {
             console.log(`Bootstrapping from ${ip}:${port}`);
+            const localHandshake = getLocalHandshake(selfInfo.nodeId);
             const response = await fetch(`http://${ip}:${port}/register`, {
                 method: 'POST',
                 headers: {'Content-Type': 'application/json'},
-                body: JSON.stringify(selfInfo)
+                body: JSON.stringify({ ...selfInfo, ...localHandshake })
             });
 
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || `HTTP ${response.status}`);
+            }
 
             const data = await response.json();
-            console.log(`Node ${selfInfo.nodeId} successfully bootstrapped from ${ip}:${port}`);
-            
-            // Process the bootstrap peer's inventory
-            if (data.blocks && Array.isArray(data.blocks)) {
-                console.log(`Received ${data.blocks.length} blocks from bootstrap peer`);
-                // The inventory will be handled by index.mjs when it receives the response
+            const refusal = checkHandshake(data, localHandshake);
+            if (refusal) {
+                console.error(`Not bootstrapping from ${ip}:${port}: ${refusal}`);
+                return null;
             }
+            console.log(`Node ${selfInfo.nodeId} successfully bootstrapped from ${ip}:${port} ` +
+                `(protocol version ${data.version}, network ${data.networkId}, height ${data.bestHeight})`);
+            addressManager.recordObservation(data.observedIp, data.nodeId);
             
+            // Process the bootstrap peer's inventory
             if (data.transactions && Array.isArray(data.transactions)) {
                 console.log(`Received ${data.transactions.length} transactions from bootstrap peer`);
                 // The inventory will be handled by index.mjs when it receives the response
@@ -87,6 +293,7 @@ export async function bootstrap(initialPeers, selfInfo) {
         
         // Add the bootstrap node first (these have priority)
         addPeer(ip, port, selfInfo.port, selfInfo.ip, data.nodeId, selfInfo.nodeId, "bootstrap");
+        recordHandshake(data.nodeId, data);
         
         // Get current connection counts
         const activeConns = getActivePeers();
@@ -94,7 +301,7 @@ export async function bootstrap(initialPeers, selfInfo) {
         const externalCount = activeConns.filter(p => p.group !== selfGroup).length;
         
         // If we already have enough connections, don't process additional peers
-        if (internalCount >= MAX_INTERNAL_CONNECTIONS && externalCount >= MAX_EXTERNAL_CONNECTIONS) {
+        if (internalCount >= networkParams.maxInternalConnections && externalCount >= networkParams.maxExternalConnections) {
             console.log("Connection limits reached during bootstrap, not processing additional peers");
             break;
         }
@@ -115,8 +322,8 @@ export async function bootstrap(initialPeers, selfInfo) {
                     const currentExternalCount = currentActiveConns.filter(p => p.group !== selfGroup).length;
                     
                     // If we've reached our limits, stop processing peers
-                    if (currentInternalCount >= MAX_INTERNAL_CONNECTIONS && 
-                        currentExternalCount >= MAX_EXTERNAL_CONNECTIONS) {
+                    if (currentInternalCount >= networkParams.maxInternalConnections && 
+                        currentExternalCount >= networkParams.maxExternalConnections) {
                         break;
                     }
                     
@@ -154,8 +361,8 @@ export function startPeerExchange(nodeInfo) {
                 `(${internalCount} internal, ${externalCount} external)`);
             
             // Check if we need to find new peers because we don't have enough connections
-            const needMoreInternalPeers = internalCount < MAX_INTERNAL_CONNECTIONS;
-            const needMoreExternalPeers = externalCount < MAX_EXTERNAL_CONNECTIONS;
+            const needMoreInternalPeers = internalCount < networkParams.maxInternalConnections;
+            const needMoreExternalPeers = externalCount < networkParams.maxExternalConnections;
             
             // Skip peer exchange only if we have maximum connections in both categories
             if (!needMoreInternalPeers && !needMoreExternalPeers) {
@@ -166,10 +373,13 @@ export function startPeerExchange(nodeInfo) {
             // Process active peers to get their peer lists
             for (const peer of peers) {
                 if (peer.retries > 3) continue; // Skip peers with too many retries
+                if (peer.backoffUntil > Date.now()) continue; // Rate limited us, ask again later
 
                 try {
-                    const response = await fetch(`http://${peer.ip}:${peer.port}/peers`);
-                    const remotePeers = await response.json();
+                    const remotePeers = await requestFromPeer(peer, '/peers');
+                    if (!Array.isArray(remotePeers)) {
+                        throw new Error('peer list is not an array');
+                    }
 
                     // Reset retries on successful connection
                     peer.retries = 0;
@@ -194,7 +404,7 @@ export function startPeerExchange(nodeInfo) {
                             const currentActiveConns = getActivePeers();
                             const currentInternalCount = currentActiveConns.filter(p => p.group === selfGroup).length;
                             
-                            if (currentInternalCount >= MAX_INTERNAL_CONNECTIONS) {
+                            if (currentInternalCount >= networkParams.maxInternalConnections) {
                                 console.log("Internal connection limit reached, stopping internal peer search");
                                 break;
                             }
@@ -211,7 +421,7 @@ export function startPeerExchange(nodeInfo) {
                             const currentActiveConns = getActivePeers();
                             const currentExternalCount = currentActiveConns.filter(p => p.group !== selfGroup).length;
                             
-                            if (currentExternalCount >= MAX_EXTERNAL_CONNECTIONS) {
+                            if (currentExternalCount >= networkParams.maxExternalConnections) {
                                 console.log("External connection limit reached, stopping external peer search");
                                 break;
                             }
@@ -226,12 +436,16 @@ export function startPeerExchange(nodeInfo) {
                     const updatedInternalCount = updatedPeers.filter(p => p.group === selfGroup).length;
                     const updatedExternalCount = updatedPeers.filter(p => p.group !== selfGroup).length;
                     
-                    if (updatedInternalCount >= MAX_INTERNAL_CONNECTIONS && 
-                        updatedExternalCount >= MAX_EXTERNAL_CONNECTIONS) {
+                    if (updatedInternalCount >= networkParams.maxInternalConnections && 
+                        updatedExternalCount >= networkParams.maxExternalConnections) {
                         console.log("Connection limits reached during peer exchange, stopping");
                         break;
                     }
                 } catch (error) {
+                    if (error.status === 429) {
+                        peer.backoffUntil = Date.now() + error.retryAfter;
+                        continue;
+                    }
                     peer.retries++;
                     if (peer.retries > 3) {
                         console.log(`Removing unresponsive peer ${peer.id}`);
@@ -246,7 +460,7 @@ export function startPeerExchange(nodeInfo) {
         } finally {
             exchangeInProgress = false;
         }
-    }, PEER_EXCHANGE_INTERVAL);
+    }, networkParams.peerExchangeInterval);
 }
 
 
@@ -260,6 +474,11 @@ export function addPeer(ip, port, selfPort, selfIp, nodeId, selfNodeId, location
     if (nodeId === selfNodeId) {
         return ;
     }
+
+    if (banList.isBanned(nodeId) || banList.isBanned(ip)) {
+        console.log(`Not adding banned peer ${nodeId} (${ip}:${port})`);
+        return;
+    }
     // // Prevent self-connection (loopback prevention)
     // if (port === selfPort && (ip === selfIp || ip === '127.0.0.1' || ip === 'localhost')) {
     //     return;
@@ -292,7 +511,7 @@ export function addPeer(ip, port, selfPort, selfIp, nodeId, selfNodeId, location
     // Batch propagation for efficiency (avoid per-peer calls)
     // Only propagate if we actually have active connections
     if (nodes.size % 10 === 0 && activeConnections.size > 0) {
-        propagateToActivePeers({peers: Array.from(nodes.values()).slice(-10)});
+        propagateToActivePeers({peers: Array.from(nodes.values()).slice(-10)}, selfNodeId);
     }
 
     // Connection attempts are throttled to avoid overwhelming the network
@@ -305,9 +524,9 @@ export function addPeer(ip, port, selfPort, selfIp, nodeId, selfNodeId, location
     const outgoingExternalConns = ourOutgoingConnections.filter(p => p.group !== selfGroup).length;
     
     // Only attempt connection if we haven't reached our limits
-    if ((peerGroup === selfGroup && outgoingInternalConns < MAX_INTERNAL_CONNECTIONS) ||
-        (peerGroup !== selfGroup && outgoingExternalConns < MAX_EXTERNAL_CONNECTIONS)) {
-        tryEstablishConnection(peer, selfNodeId);
+    if ((peerGroup === selfGroup && outgoingInternalConns < networkParams.maxInternalConnections) ||
+        (peerGroup !== selfGroup && outgoingExternalConns < networkParams.maxExternalConnections)) {
+        tryEstablishConnection(peer, { nodeId: selfNodeId, ip: selfIp, port: selfPort });
     }
 }
 
@@ -315,14 +534,21 @@ export function addPeer(ip, port, selfPort, selfIp, nodeId, selfNodeId, location
 export function getActivePeers() {
     // Return only active outgoing connections (nodes we've successfully connected to)
     return Array.from(activeConnections.values()).filter(peer =>
-        Date.now() - peer.lastSeen < PEER_TIMEOUT
+        Date.now() - peer.lastSeen < networkParams.peerTimeout
     );
 }
 
-async function tryEstablishConnection(peer, selfNodeId) {
+// Look up a known peer by node id, null if we don't know it
+export function getPeer(peerId) {
+    if (!peerId) return null;
+    return activeConnections.get(peerId) || nodes.get(peerId) || null;
+}
+
+async function tryEstablishConnection(peer, selfInfo) {
     // Double-check connection limits before establishing a new connection
     // This prevents race conditions where multiple connections are established simultaneously
     
+    const selfNodeId = selfInfo.nodeId;
     const selfGroup = determineGroup(selfNodeId);
     const peerGroup = determineGroup(peer.id);
     const activeConns = getActivePeers();
@@ -332,8 +558,8 @@ async function tryEstablishConnection(peer, selfNodeId) {
     const outgoingExternalConns = activeConns.filter(p => p.group !== selfGroup).length;
     
     // Skip if we've reached our limits
-    if ((peerGroup === selfGroup && outgoingInternalConns >= MAX_INTERNAL_CONNECTIONS) ||
-        (peerGroup !== selfGroup && outgoingExternalConns >= MAX_EXTERNAL_CONNECTIONS)) {
+    if ((peerGroup === selfGroup && outgoingInternalConns >= networkParams.maxInternalConnections) ||
+        (peerGroup !== selfGroup && outgoingExternalConns >= networkParams.maxExternalConnections)) {
         console.log(`Connection limits reached, not connecting to ${peer.id} (${peer.ip}:${peer.port})`);
         return false;
     }
@@ -346,17 +572,75 @@ async function tryEstablishConnection(peer, selfNodeId) {
         return true;
     }
 
+    // The peer told us to slow down (429), don't try again before it said we may
+    if (peer.backoffUntil > Date.now()) {
+        console.log(`Not connecting to ${peer.id} (${peer.ip}:${peer.port}) before ${new Date(peer.backoffUntil).toISOString()}, it rate limited us`);
+        return false;
+    }
+
     try {
-        const response = await fetch(`http://${peer.ip}:${peer.port}/ping`);
+        // Connecting starts with the signed handshake, which also agrees the keys of the encrypted link.
+        // A peer on another network, with an incompatible protocol or that can't prove it owns the nodeId
+        // we know it by is forgotten, so we don't keep trying it
+        const exchange = createKeyExchange();
+        const localHandshake = signMessage({
+            ...getLocalHandshake(selfNodeId),
+            port: Number(selfInfo.port),
+            to: peer.id,
+            ephemeralKey: exchange.publicKey,
+            timestamp: Date.now()
+        }, nodeWallet);
+        const response = await fetch(`http://${peer.ip}:${peer.port}/handshake`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Node-Id': selfNodeId },
+            body: JSON.stringify(localHandshake),
+            signal: AbortSignal.timeout(5000)
+        });
+        if (response.status === 429) {
+            // Our requests are over the peer's rate limit. That says nothing about the peer, try it again later
+            const retryAfter = getRetryAfter(response);
+            peer.backoffUntil = Date.now() + retryAfter;
+            console.log(`Handshake with ${peer.id} (${peer.ip}:${peer.port}) rate limited, retrying in ${retryAfter / 1000}s`);
+            return false;
+        }
+        let remoteHandshake = null;
+        let refusal = null;
+        if (response.ok) {
+            remoteHandshake = await response.json();
+            refusal = checkHandshake(remoteHandshake, localHandshake) || checkSignedHandshake(remoteHandshake, peer.id) ||
+                (remoteHandshake.peerEphemeralKey !== exchange.publicKey ? 'answer is not for our key exchange' : null);
+        } else if (response.status === 400 || response.status === 403) {
+            // The peer refused our handshake (other network, incompatible version) or has banned us
+            const error = await response.json().catch(() => ({}));
+            refusal = error.error || `HTTP ${response.status}`;
+        }
+        if (refusal) {
+            console.log(`Handshake with ${peer.id} (${peer.ip}:${peer.port}) failed: ${refusal}`);
+            removePeer(peer.id);
+            return false;
+        }
         if (response.ok) {
+            addressManager.recordObservation(remoteHandshake.observedIp, peer.id);
+
+            // The encrypted link is part of the connection: a peer that supports it but can't be reached over it
+            // isn't connected. Peers without it (none of the current version) get messages over HTTP
+            const session = deriveSession(exchange, remoteHandshake.ephemeralKey, true);
+            const usesLink = negotiateFeatures(remoteHandshake.features).includes('websocket');
+            const link = usesLink ? await openPeerSocket(peer, remoteHandshake.sessionId, session) : null;
+            if (usesLink && !link) {
+                peer.retries++;
+                return false;
+            }
+
             // One final check before adding the connection
             const updatedActiveConns = getActivePeers();
             const updatedInternalConns = updatedActiveConns.filter(p => p.group === selfGroup).length;
             const updatedExternalConns = updatedActiveConns.filter(p => p.group !== selfGroup).length;
             
-            if ((peerGroup === selfGroup && updatedInternalConns >= MAX_INTERNAL_CONNECTIONS) ||
-                (peerGroup !== selfGroup && updatedExternalConns >= MAX_EXTERNAL_CONNECTIONS)) {
-                console.log(`Connection limits reached during ping, not connecting to ${peer.id}`);
+            if ((peerGroup === selfGroup && updatedInternalConns >= networkParams.maxInternalConnections) ||
+                (peerGroup !== selfGroup && updatedExternalConns >= networkParams.maxExternalConnections)) {
+                console.log(`Connection limits reached during handshake, not connecting to ${peer.id}`);
+                link?.close();
                 return false;
             }
             
@@ -364,9 +648,23 @@ async function tryEstablishConnection(peer, selfNodeId) {
                 ...peer,
                 lastSeen: Date.now()
             });
-            console.log(`${selfNodeId} successfully established outgoing connection with ${peer.id} (${peer.ip}:${peer.port})`);
+            const { version, features } = recordHandshake(peer.id, remoteHandshake);
+            console.log(`${selfNodeId} successfully established outgoing connection with ${peer.id} (${peer.ip}:${peer.port}), ` +
+                `protocol version ${version}, features: ${features.join(', ') || 'none'}`);
+            nodeEvents.publish('peer.connected', {
+                nodeId: peer.id,
+                ip: peer.ip,
+                port: peer.port,
+                version,
+                features,
+                transport: link ? 'websocket' : 'http'
+            });
+            if (link) {
+                watchPeerSocket(link, activeConnections.get(peer.id), selfInfo);
+            }
             return true;
         }
+        peer.retries++; // Answered, but not healthy
     } catch (error) {
         console.error(`Failed to establish connection with ${peer.id}:`, error.message);
         peer.retries++;
@@ -374,16 +672,282 @@ async function tryEstablishConnection(peer, selfNodeId) {
     return false;
 }
 
+// Open the encrypted WebSocket link of an outgoing connection with the session agreed in the handshake.
+// Returns the link, or null if the peer couldn't be reached over it
+async function openPeerSocket(peer, sessionId, session) {
+    try {
+        const connection = await connectWebSocket(`http://${peer.ip}:${peer.port}/p2p`, { 'X-Session-Id': sessionId });
+        connection.session = session;
+        // Listen right away: a message we miss would put the message counters out of step
+        handleSocketMessages(connection, peer);
+        return connection;
+    } catch (error) {
+        console.log(`Could not open a WebSocket link to ${peer.id}: ${error.message}`);
+        return null;
+    }
+}
+
+// Make an opened link the one we send to the peer over
+function watchPeerSocket(connection, peer, selfInfo) {
+    peerSockets.get(peer.id)?.close();
+    peerSockets.set(peer.id, connection);
+    console.log(`Opened encrypted WebSocket link to peer ${peer.id} (${peer.ip}:${peer.port})`);
+
+    // A closed link means the peer is gone: stop treating it as connected right away and look for another
+    connection.on('close', () => {
+        if (peerSockets.get(peer.id) !== connection) return; // Replaced or removed on purpose
+        peerSockets.delete(peer.id);
+        if (!activeConnections.delete(peer.id)) return;
+
+        console.log(`WebSocket link to peer ${peer.id} (${peer.ip}:${peer.port}) closed, connection lost`);
+        nodeEvents.publish('peer.removed', { nodeId: peer.id, ip: peer.ip, port: peer.port, reason: 'connection lost' });
+        tryReplaceDisconnectedPeer(peer, determineGroup(selfInfo.nodeId), selfInfo.nodeId, selfInfo.port, selfInfo.ip);
+    });
+}
+
+// A peer opened its link to us (upgrade of GET /p2p). X-Session-Id names the session agreed in the handshake
+// we answered, which tells us which node this is; a link without a valid session is refused
+export function acceptPeerSocket(req, socket, head, remoteIp) {
+    removeExpiredSessions();
+    const sessionId = req.headers['x-session-id'];
+    const pending = pendingSessions.get(sessionId);
+    if (!pending) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        return;
+    }
+    pendingSessions.delete(sessionId); // A session is good for one link only
+    if (banList.isBanned(pending.nodeId)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+        return;
+    }
+
+    const connection = acceptWebSocket(req, socket, head);
+    if (!connection) return;
+    connection.session = pending.session;
+
+    const peer = getPeer(pending.nodeId) || { id: pending.nodeId, ip: remoteIp, port: pending.port };
+    inboundSockets.get(peer.id)?.close();
+    inboundSockets.set(peer.id, connection);
+    console.log(`Peer ${peer.id} (${peer.ip}:${peer.port}) opened an encrypted WebSocket link`);
+    handleSocketMessages(connection, peer);
+
+    connection.on('close', () => {
+        if (inboundSockets.get(peer.id) !== connection) return;
+        inboundSockets.delete(peer.id);
+        console.log(`WebSocket link from peer ${peer.id} closed`);
+    });
+}
+
+// Messages are JSON { type, data }, encrypted with the link's session. data is what the matching
+// HTTP route takes as its body
+function handleSocketMessages(connection, linkPeer) {
+    connection.lastMessageAt = Date.now();
+
+    connection.on('message', text => {
+        const peer = getPeer(linkPeer.id) || linkPeer; // The current entry once the connection is set up
+        let message;
+        try {
+            message = JSON.parse(connection.session.decrypt(text));
+        } catch (error) {
+            // Tampered with, replayed or garbage: the session can't be trusted any more
+            console.log(`Unreadable message from peer ${peer.id} (${error.message}), closing its link`);
+            connection.close(1008, 'invalid message');
+            return;
+        }
+        connection.lastMessageAt = Date.now();
+        peer.lastSeen = Date.now();
+
+        // Answers to our own requests aren't limited, unasked ones are ignored
+        if (message.type === 'response') {
+            settleRequest(message.data, peer);
+            return;
+        }
+
+        // Over the limit a message is dropped, like an HTTP request answered with 429. It is only checked after
+        // decrypting: skipping the decryption would put the message counters out of step
+        if (!messageLimiter(peer.id, message.type, message.data)) {
+            console.log(`Dropping ${message.type} message from peer ${peer.id}: too many messages`);
+            if (message.type === 'request') {
+                sendOverLink(connection, 'response', { id: message.data?.id, status: 429, body: { error: 'Too many requests' } });
+            }
+            return;
+        }
+        if (message.type === 'request') {
+            answerRequest(connection, message.data, peer);
+            return;
+        }
+
+        if (message.type === 'ping') {
+            sendOverLink(connection, 'pong');
+            return;
+        }
+        if (message.type === 'pong') return;
+
+        const handler = messageHandlers.get(message.type);
+        if (!handler) {
+            console.log(`Ignoring message of unknown type ${message.type} from peer ${peer.id}`);
+            return;
+        }
+        Promise.resolve()
+            .then(() => handler(message.data, peer))
+            .catch(error => console.error(`Failed to handle ${message.type} message from peer ${peer.id}:`, error.message));
+    });
+}
+
+// Register the handler for a message type arriving over WebSocket links
+export function onPeerMessage(type, handler) {
+    messageHandlers.set(type, handler);
+}
+
+// Register the answer to GET requests arriving over WebSocket links: handler(path, searchParams, peer) returns
+// what the GET route of that path answers with, or null for a path that can't be asked for over a link
+export function onPeerRequest(handler) {
+    requestHandler = handler;
+}
+
+// True while we have a WebSocket link with the peer. Everything for it then goes over the link: falling back to
+// plain HTTP when a send fails would put in the clear what the link's session is there to protect
+export function hasPeerLink(peer) {
+    return peerSockets.has(peer.id) || inboundSockets.has(peer.id);
+}
+
+// GET requestPath (with its query string) from a peer and return the answer's body. Peers we have a link with are
+// asked over the link as a request message, answered with a response message; only peers without a session
+// (an older build, or a bootstrap node we aren't connected to yet) are asked over HTTP. Throws if there is no
+// answer in time or an error answer, with the error's HTTP status and the retryAfter in ms of a 429
+export async function requestFromPeer(peer, requestPath, timeout = REQUEST_TIMEOUT) {
+    if (!hasPeerLink(peer)) {
+        const response = await fetch(`http://${peer.ip}:${peer.port}${requestPath}`, { signal: AbortSignal.timeout(timeout) });
+        if (!response.ok) {
+            throw createRequestError(response.status, `HTTP ${response.status}`, getRetryAfter(response));
+        }
+        peer.lastSeen = Date.now();
+        return response.json();
+    }
+
+    const id = nextRequestId++;
+    const answer = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            pendingRequests.delete(id);
+            reject(new Error(`no answer to ${requestPath} over the WebSocket link within ${timeout / 1000}s`));
+        }, timeout);
+        pendingRequests.set(id, { peerId: peer.id, resolve, reject, timer });
+    });
+    if (!sendToPeer(peer, 'request', { id, path: requestPath })) {
+        settleRequest({ id, status: 503, body: { error: 'WebSocket link is closing' } }, peer);
+    }
+    return answer;
+}
+
+function settleRequest(response, peer) {
+    const pending = response && pendingRequests.get(response.id);
+    if (!pending || pending.peerId !== peer.id) return;
+
+    pendingRequests.delete(response.id);
+    clearTimeout(pending.timer);
+    if (response.status === 200) {
+        pending.resolve(response.body);
+    } else {
+        const message = response.body?.error || `status ${response.status}`;
+        pending.reject(createRequestError(response.status, message, response.status === 429 ? 1000 : 0));
+    }
+}
+
+// Answer a request message like the GET route of its path. An answer too large for one link message is refused
+// with 413, the peer has to ask for less at a time
+function answerRequest(connection, request, peer) {
+    if (!request || typeof request.path !== 'string') return;
+
+    let response;
+    try {
+        const url = new URL(request.path, 'http://peer');
+        const body = requestHandler(url.pathname, url.searchParams, peer);
+        response = body === null || body === undefined
+            ? { id: request.id, status: 404, body: { error: `${url.pathname} can't be asked for over a link` } }
+            : { id: request.id, status: 200, body };
+    } catch (error) {
+        console.error(`Failed to answer request ${request.path} from peer ${peer.id}:`, error.message);
+        response = { id: request.id, status: 500, body: { error: 'Internal error' } };
+    }
+    if (response.status === 200 && Buffer.byteLength(JSON.stringify(response)) > MAX_LINK_ANSWER) {
+        response = { id: request.id, status: 413, body: { error: `Answer larger than ${MAX_LINK_ANSWER} bytes` } };
+    }
+    sendOverLink(connection, 'response', response);
+}
+
+function createRequestError(status, message, retryAfter = 0) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+// Retry-After of a 429 answer in ms, at least a second
+function getRetryAfter(response) {
+    return Math.max(1, parseInt(response.headers.get('retry-after')) || 1) * 1000;
+}
+
+// Send a message over a WebSocket link with the peer, in either direction. Returns false if there is
+// no open link, the caller then falls back to HTTP unless hasPeerLink says the link is only closing
+export function sendToPeer(peer, type, data) {
+    const connection = peerSockets.get(peer.id) || inboundSockets.get(peer.id);
+    if (!connection || !connection.isOpen()) return false;
+    return sendOverLink(connection, type, data);
+}
+
+function sendOverLink(connection, type, data) {
+    return connection.send(connection.session.encrypt(JSON.stringify({ type, data })));
+}
+
+export function getPeerTransport(peerId) {
+    return peerSockets.has(peerId) || inboundSockets.has(peerId) ? 'websocket' : 'http';
+}
+
+function closePeerSockets(peerId) {
+    [peerSockets, inboundSockets].forEach(sockets => {
+        const connection = sockets.get(peerId);
+        sockets.delete(peerId);
+        connection?.close();
+    });
+}
+
+// Ping our outgoing links and drop links that have gone quiet; the close handlers take care of the rest
+setInterval(() => {
+    const now = Date.now();
+    for (const sockets of [peerSockets, inboundSockets]) {
+        for (const [peerId, connection] of sockets) {
+            if (now - connection.lastMessageAt > SOCKET_TIMEOUT) {
+                console.log(`Nothing received from peer ${peerId} for ${SOCKET_TIMEOUT / 1000}s, dropping its WebSocket link`);
+                connection.terminate();
+            }
+        }
+    }
+    peerSockets.forEach(connection => sendOverLink(connection, 'ping'));
+}, PING_INTERVAL).unref();
+
 function determineGroup(nodeId) {
     return nodeId.charAt(0);
 }
 
 
-export async function handleSync(syncData, serverPort, serverIp, serverNodeId) {
+// sourceId is the node id of the peer that sent the list (X-Node-Id header), if it told us
+export async function handleSync(syncData, serverPort, serverIp, serverNodeId, sourceId = null) {
     const updatedPeers = [];
 
+    if (syncData.peers !== undefined && !Array.isArray(syncData.peers)) {
+        penalizePeer(sourceId, MISBEHAVIOR_PENALTIES.invalidPeerList, 'peer list is not an array');
+        return { status: 'invalid', added: 0 };
+    }
+
     if (syncData.peers) {
-        for (const peer of syncData.peers) {
+        const validPeers = syncData.peers.filter(peer => peer && typeof peer.id === 'string' &&
+            typeof peer.ip === 'string' && Number.isInteger(Number(peer.port)));
+        if (validPeers.length < syncData.peers.length) {
+            penalizePeer(sourceId, MISBEHAVIOR_PENALTIES.invalidPeerList,
+                `${syncData.peers.length - validPeers.length} malformed entries in peer list`);
+        }
+
+        for (const peer of validPeers) {
             if (!nodes.has(peer.id)) {
                 addPeer(peer.ip, peer.port, serverPort, serverIp, peer.id, serverNodeId, 'handle sync');
                 updatedPeers.push(peer);
@@ -392,7 +956,7 @@ export async function handleSync(syncData, serverPort, serverIp, serverNodeId) {
     }
 
     if (updatedPeers.length > 0) {
-        propagateToActivePeers({peers: updatedPeers});
+        propagateToActivePeers({peers: updatedPeers}, serverNodeId);
     }
 
     return {
@@ -403,16 +967,17 @@ export async function handleSync(syncData, serverPort, serverIp, serverNodeId) {
 
 
 // Block propagation - Ensures only new blocks are broadcasted.
-async function propagateToActivePeers(data) {
+async function propagateToActivePeers(data, selfNodeId) {
     // Only propagate to outgoing connections that are active
     const activeNodes = Array.from(activeConnections.values())
-        .filter(peer => Date.now() - peer.lastSeen < PEER_TIMEOUT);
+        .filter(peer => Date.now() - peer.lastSeen < networkParams.peerTimeout);
         
     for (const peer of activeNodes) {
+        if (sendToPeer(peer, 'peers', data) || hasPeerLink(peer)) continue; // Never in the clear to a peer with a link
         try {
             await fetch(`http://${peer.ip}:${peer.port}/sync`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', 'X-Node-Id': selfNodeId },
                 body: JSON.stringify(data)
             });
             peer.lastSeen = Date.now();
@@ -423,10 +988,63 @@ async function propagateToActivePeers(data) {
     }
 }
 
+// Record that a peer sent us invalid data. Scores are kept by node id, so they survive
+// the peer being removed and added again. At BAN_SCORE the peer is banned and dropped
+// type says what peerId is, 'nodeId' or 'ip'; reaching BAN_SCORE bans it as that
+export function penalizePeer(peerId, points, reason, type = 'nodeId') {
+    if (!peerId) return;
+    const score = (misbehaviorScores.get(peerId) || 0) + points;
+    misbehaviorScores.set(peerId, score);
+    console.log(`Peer ${peerId} misbehaved (${reason}), misbehaviour score now ${score}`);
+
+    if (score >= BAN_SCORE) {
+        banList.ban(type, peerId, `misbehaviour score ${score}, last: ${reason}`);
+        misbehaviorScores.delete(peerId);
+        if (type === 'ip') {
+            removeBannedPeers();
+        } else {
+            removePeer(peerId);
+        }
+    }
+}
+
+// Key a block or transaction source is scored under. A source marked unverified (an announcer that isn't a known
+// peer at the address it wrote from) only claims its node id, which may be anybody's, so its IP address is used
+export function getSourceKey(source) {
+    return source.unverified ? source.ip : source.id;
+}
+
+// Count bad data against the source it came from, see getSourceKey
+export function penalizeSource(source, points, reason) {
+    penalizePeer(getSourceKey(source), points, reason, source.unverified ? 'ip' : 'nodeId');
+}
+
+export function getMisbehaviorScore(peerId) {
+    return misbehaviorScores.get(peerId) || 0;
+}
+
+export function getMisbehaviorScores() {
+    return Object.fromEntries(misbehaviorScores);
+}
+
+// Drop known peers whose node id or IP has been banned
+export function removeBannedPeers() {
+    for (const peer of [...nodes.values(), ...activeConnections.values()]) {
+        if (banList.isBanned(peer.id) || banList.isBanned(peer.ip)) {
+            removePeer(peer.id);
+        }
+    }
+}
+
 export function removePeer(peerId) {
+    const peer = nodes.get(peerId) || activeConnections.get(peerId);
     nodes.delete(peerId);
     activeConnections.delete(peerId);
+    closePeerSockets(peerId);
     console.log(`Removed inactive peer: ${peerId}`);
+    if (peer) {
+        nodeEvents.publish('peer.removed', { nodeId: peerId, ip: peer.ip, port: peer.port, reason: 'removed' });
+    }
 }
 
 // Attempts to find and connect to a replacement peer when one disconnects
@@ -439,7 +1057,7 @@ async function tryReplaceDisconnectedPeer(disconnectedPeer, selfGroup, selfNodeI
     const allKnownPeers = Array.from(nodes.values()).filter(peer => 
         !activeConnections.has(peer.id) && // Not already an active connection
         peer.retries < 3 && // Hasn't failed too many times
-        Date.now() - peer.lastSeen < PEER_TIMEOUT // Not too old
+        Date.now() - peer.lastSeen < networkParams.peerTimeout // Not too old
     );
     
     // Filter to find potential replacement peers of the same group type
@@ -462,7 +1080,7 @@ async function tryReplaceDisconnectedPeer(disconnectedPeer, selfGroup, selfNodeI
             console.log(`Attempting to connect to replacement peer: ${candidate.id} (${candidate.ip}:${candidate.port})`);
             
             // Try to establish connection to this peer
-            const success = await tryEstablishConnection(candidate, selfNodeId);
+            const success = await tryEstablishConnection(candidate, { nodeId: selfNodeId, ip: selfIp, port: selfPort });
             
             if (success) {
                 console.log(`Successfully connected to replacement peer: ${candidate.id}`);
@@ -481,7 +1099,7 @@ async function tryReplaceDisconnectedPeer(disconnectedPeer, selfGroup, selfNodeI
 export function cleanupPeers() {
     const now = Date.now();
     for (const [id, peer] of nodes.entries()) {
-        if (now - peer.lastSeen > PEER_TIMEOUT) {
+        if (now - peer.lastSeen > networkParams.peerTimeout) {
             removePeer(id);
         }
     }
@@ -491,6 +1109,6 @@ export function getActiveConnections() {
     // Same as getActivePeers - this is now redundant but kept for API compatibility
     // Only return connections that are recent
     return Array.from(activeConnections.values()).filter(peer => 
-        Date.now() - peer.lastSeen < PEER_TIMEOUT
+        Date.now() - peer.lastSeen < networkParams.peerTimeout
     );
 }
@@ -0,0 +1,130 @@
+// pool-miner.mjs
+// Worker for the mining pool of a node started with --pool (see pool.mjs): fetches work, searches for shares and
+// submits them, so several low-power machines can mine together and get paid for the work they did.
+//   node pool-miner.mjs --pool=127.0.0.1:3000 [--address=<payout address> | --key-file=<path>]
+// Without --address the payouts go to the address of the key in --key-file, created on first start.
+// miner.mjs mines through runPoolMiner too when its node runs a pool
+import { fileURLToPath } from 'url';
+import { searchNonce } from './consensus.mjs';
+import { isValidAddress, loadOrCreateWallet } from './wallet.mjs';
+
+const BATCH_SIZE = 20000; // Nonces tried between looking at the clock for new work
+const WORK_REFRESH_INTERVAL = 10000; // Fetch new work at least this often, to mine on the pool's latest template
+const RETRY_DELAY = 5000; // Wait before asking again when the pool can't be reached
+const STATS_INTERVAL = 30000;
+const DEFAULT_KEY_FILE = 'data/pool-miner/key.json';
+
+// Mine shares for the pool at poolUrl, paid to address. Runs forever, or with untilBlock until one of our shares
+// is a block and returns that block's { hash, height }
+export async function runPoolMiner(poolUrl, address, { untilBlock = false } = {}) {
+    console.log(`Pool miner working for ${poolUrl}, payouts go to ${address}`);
+    const stats = { hashes: 0, accepted: 0, rejected: 0, blocks: 0, startedAt: Date.now() };
+    const statsTimer = setInterval(() => logStats(poolUrl, address, stats), STATS_INTERVAL);
+    try {
+        return await mineShares(poolUrl, address, stats, untilBlock);
+    } finally {
+        clearInterval(statsTimer);
+    }
+}
+
+async function mineShares(poolUrl, address, stats, untilBlock) {
+    let work = null;
+    let nextNonce = 1;
+    while (true) {
+        if (!work || Date.now() - work.receivedAt > WORK_REFRESH_INTERVAL) {
+            work = await fetchWork(poolUrl);
+            if (!work) {
+                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+                continue;
+            }
+            nextNonce = 1;
+        }
+
+        const found = searchNonce(work.block, work.shareDifficulty, { prefix: work.noncePrefix, start: nextNonce, maxTries: BATCH_SIZE });
+        nextNonce += found.tries;
+        stats.hashes += found.tries;
+
+        if (found.nonce) {
+            const result = await submitShare(poolUrl, { jobId: work.jobId, worker: address, nonce: found.nonce });
+            if (result.status === 'accepted') {
+                stats.accepted++;
+                if (result.block) {
+                    stats.blocks++;
+                    console.log(`Our share ${found.hash} is block ${result.block.height}!`);
+                    if (untilBlock) return result.block;
+                    work = null; // The pool's head moved on
+                }
+            } else {
+                stats.rejected++;
+                console.log(`Share rejected (${result.reason}): ${result.message}`);
+                if (result.reason === 'stale' || result.reason === 'unknown-job') {
+                    work = null;
+                }
+            }
+        }
+
+        // Let the stats timer run between batches
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+async function fetchWork(poolUrl) {
+    try {
+        const response = await fetch(`${poolUrl}/pool/work`);
+        const work = await response.json();
+        if (!response.ok) {
+            console.log(`Pool has no work for us: ${work.error}`);
+            return null;
+        }
+        console.log(`New work ${work.jobId}: block ${work.height} at difficulty ${work.difficulty}, shares at ${work.shareDifficulty}`);
+        return { ...work, receivedAt: Date.now() };
+    } catch (error) {
+        console.error(`Failed to fetch work from ${poolUrl}:`, error.message);
+        return null;
+    }
+}
+
+async function submitShare(poolUrl, share) {
+    try {
+        const response = await fetch(`${poolUrl}/pool/share`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(share)
+        });
+        const result = await response.json();
+        if (response.status === 429) {
+            // Too many shares for the pool's rate limit, back off for as long as it asks
+            await new Promise(resolve => setTimeout(resolve, (parseInt(response.headers.get('retry-after')) || 1) * 1000));
+            return { status: 'rejected', reason: 'rate-limited', message: result.error };
+        }
+        return result.status ? result : { status: 'rejected', reason: `http-${response.status}`, message: result.error };
+    } catch (error) {
+        return { status: 'rejected', reason: 'unreachable', message: error.message };
+    }
+}
+
+async function logStats(poolUrl, address, stats) {
+    const seconds = (Date.now() - stats.startedAt) / 1000;
+    let balance = '?';
+    try {
+        const response = await fetch(`${poolUrl}/balance`);
+        balance = (await response.json()).balances[address] || 0;
+    } catch (error) {
+        // Only for the log line
+    }
+    console.log(`${Math.round(stats.hashes / seconds)} H/s, ${stats.accepted} shares accepted, ${stats.rejected} rejected, ${stats.blocks} blocks, balance ${balance}`);
+}
+
+// Run as a script; miner.mjs only imports runPoolMiner
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const getArg = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+    const pool = getArg('pool') || '127.0.0.1:3000';
+    const address = getArg('address') || loadOrCreateWallet(getArg('key-file') || DEFAULT_KEY_FILE).address;
+    if (!isValidAddress(address)) {
+        console.error(`Invalid payout address ${address}, expected 32 hex characters`);
+        process.exit(1);
+    }
+    runPoolMiner(pool.startsWith('http') ? pool : `http://${pool}`, address);
+}
@@ -0,0 +1,288 @@
+// pool.mjs
+// Mining pool run by the node, so several low-power miners (pool-miner.mjs) can find blocks together. The pool
+// hands out work on its block templates, which pay the node's own address, and accepts shares: nonces whose hash
+// meets the much lower share difficulty. Shares prove how much each worker hashed. When a share also meets the
+// network difficulty it is a block; the block reward (subsidy and fees) is split between the workers of the last
+// `window` shares (PPLNS, pay per last N shares) and paid out with ordinary transactions from the node's wallet
+// once the block has enough confirmations
+import crypto from 'crypto';
+import { inventory } from './inventory.mjs';
+import { nodeEvents } from './events.mjs';
+import { createHeaderHasher, getDifficultyTarget, getTransactionFee, hashMeetsDifficulty } from './consensus.mjs';
+import { isValidAddress, signTransaction } from './wallet.mjs';
+
+const JOB_REFRESH_INTERVAL = 10000; // Work is handed out on a new template at most this old, to pick up new transactions
+const MAX_JOBS = 20; // Templates shares are still accepted for, as long as they build on our head
+const MAX_NONCE_LENGTH = 64;
+const HASH_RATE_WINDOW = 5 * 60 * 1000; // Worker hash rates are estimated from the shares of the last 5 minutes
+const HASH_RATE_BUCKET = 10000; // Work of a worker's shares is summed per 10 seconds for the estimate
+const MAX_FOUND_BLOCKS = 100; // Found blocks shown in the stats, the oldest paid ones are forgotten first
+
+class MiningPool {
+    constructor() {
+        this.wallet = null; // Receives the block rewards and signs the payouts
+        this.enabled = false;
+        this.shareDifficulty = 16;
+        this.window = 1000; // N of PPLNS
+        this.payoutConfirmations = 3;
+        this.jobs = new Map(); // job id -> { id, height, block, hashHeader, shareDifficulty, createdAt, nonces }
+        this.nextJobId = 1;
+        this.shares = []; // { worker, weight } of the last `window` accepted shares
+        this.workers = new Map(); // address -> { accepted, rejected, blocks, lastShareAt, recentWork }
+        this.foundBlocks = []; // { hash, height, reward, payouts, status, paid, txIds }
+        this.unsubscribe = null;
+    }
+
+    configure({ wallet, shareDifficulty, window, payoutConfirmations } = {}) {
+        if (wallet) this.wallet = wallet;
+        if (shareDifficulty) this.shareDifficulty = shareDifficulty;
+        if (window) this.window = window;
+        if (payoutConfirmations !== undefined) this.payoutConfirmations = payoutConfirmations;
+    }
+
+    start() {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.unsubscribe = nodeEvents.subscribe(['head.changed'], () => this.processPayouts());
+        console.log(`Mining pool started: share difficulty ${this.shareDifficulty}, PPLNS window ${this.window} shares, payouts after ${this.payoutConfirmations} confirmations`);
+    }
+
+    // Work for a worker: a template on our head and a nonce prefix of its own, so no two workers try the same
+    // nonces. The work is the same for every worker, who to pay is only said with the shares.
+    // Returns null while we have no chain to build on
+    getWork() {
+        const job = this.getCurrentJob();
+        if (!job) return null;
+        return {
+            jobId: job.id,
+            height: job.height,
+            noncePrefix: `${crypto.randomBytes(4).toString('hex')}-`,
+            shareDifficulty: job.shareDifficulty,
+            shareTarget: getDifficultyTarget(job.shareDifficulty),
+            difficulty: job.block.difficulty,
+            target: getDifficultyTarget(job.block.difficulty),
+            block: job.block
+        };
+    }
+
+    getCurrentJob() {
+        const latest = Array.from(this.jobs.values()).pop();
+        if (latest && latest.block.previousHash === inventory.blockchainHead && Date.now() - latest.createdAt < JOB_REFRESH_INTERVAL) {
+            return latest;
+        }
+
+        const template = inventory.createBlockTemplate(this.wallet.address);
+        if (!template) return null;
+
+        const job = {
+            id: String(this.nextJobId++),
+            ...template,
+            hashHeader: createHeaderHasher(template.block),
+            // A share can't be harder than the block itself
+            shareDifficulty: Math.min(this.shareDifficulty, template.block.difficulty),
+            createdAt: Date.now(),
+            nonces: new Set() // Nonces already submitted, each share counts once
+        };
+        this.jobs.set(job.id, job);
+        if (this.jobs.size > MAX_JOBS) {
+            this.jobs.delete(this.jobs.keys().next().value);
+        }
+        return job;
+    }
+
+    // Check a share and count it for the worker. A share that meets the network difficulty is submitted as a block.
+    // Returns { status: 'accepted', block? } or { status: 'rejected', reason, message }
+    submitShare({ jobId, worker, nonce } = {}) {
+        if (!isValidAddress(worker) || typeof nonce !== 'string' || nonce.length === 0 || nonce.length > MAX_NONCE_LENGTH) {
+            return this.rejectShare(worker, 'malformed', `Expected jobId, worker (an address) and nonce (a string of up to ${MAX_NONCE_LENGTH} characters)`);
+        }
+        const job = this.jobs.get(String(jobId));
+        if (!job) {
+            return this.rejectShare(worker, 'unknown-job', `Job ${jobId} is unknown or too old`);
+        }
+        if (job.block.previousHash !== inventory.blockchainHead) {
+            return this.rejectShare(worker, 'stale', `Job ${jobId} builds on ${job.block.previousHash} but our head is ${inventory.blockchainHead}`);
+        }
+        if (job.nonces.has(nonce)) {
+            return this.rejectShare(worker, 'duplicate', `Nonce ${nonce} was already submitted for job ${jobId}`);
+        }
+
+        const hash = job.hashHeader(nonce);
+        if (!hashMeetsDifficulty(hash, job.shareDifficulty)) {
+            return this.rejectShare(worker, 'low-difficulty', `Hash ${hash} does not start with ${job.shareDifficulty} zero bits`);
+        }
+
+        job.nonces.add(nonce);
+        this.recordShare(worker, job.shareDifficulty);
+        if (!hashMeetsDifficulty(hash, job.block.difficulty)) {
+            return { status: 'accepted', hash };
+        }
+
+        // The share is a block
+        const block = { ...job.block, nonce, hash };
+        const rejection = inventory.checkSubmittedBlock(block);
+        if (rejection || !inventory.addBlock(block)) {
+            console.log(`Pool block ${hash} from ${worker} was not accepted: ${rejection ? rejection.message : 'see above'}`);
+            return { status: 'accepted', hash };
+        }
+        this.recordFoundBlock(block, job.height, worker);
+        return { status: 'accepted', hash, block: { hash, height: job.height } };
+    }
+
+    rejectShare(worker, reason, message) {
+        const stats = this.workers.get(worker);
+        if (stats) stats.rejected++;
+        return { status: 'rejected', reason, message };
+    }
+
+    recordShare(worker, shareDifficulty) {
+        const now = Date.now();
+        // Shares are weighted by the work they prove, so changing the share difficulty keeps the split fair
+        this.shares.push({ worker, weight: 2 ** shareDifficulty });
+        if (this.shares.length > this.window) {
+            this.shares.splice(0, this.shares.length - this.window);
+        }
+
+        if (!this.workers.has(worker)) {
+            this.workers.set(worker, { accepted: 0, rejected: 0, blocks: 0, lastShareAt: null, recentWork: [] });
+        }
+        const stats = this.workers.get(worker);
+        stats.accepted++;
+        stats.lastShareAt = now;
+
+        // { time, work } per bucket of the hash rate window
+        const bucketTime = now - now % HASH_RATE_BUCKET;
+        const lastBucket = stats.recentWork[stats.recentWork.length - 1];
+        if (lastBucket && lastBucket.time === bucketTime) {
+            lastBucket.work += 2 ** shareDifficulty;
+        } else {
+            stats.recentWork.push({ time: bucketTime, work: 2 ** shareDifficulty });
+        }
+        while (now - stats.recentWork[0].time > HASH_RATE_WINDOW) {
+            stats.recentWork.shift();
+        }
+    }
+
+    // Split the reward of a block we found between the workers of the last `window` shares, by the work they did
+    recordFoundBlock(block, height, finder) {
+        const reward = block.transactions.reduce((sum, tx, i) => sum + (i === 0 ? tx.amount : getTransactionFee(tx)), 0);
+        const weights = new Map();
+        for (const share of this.shares) {
+            weights.set(share.worker, (weights.get(share.worker) || 0n) + BigInt(share.weight));
+        }
+        const payouts = splitReward(reward, weights);
+
+        this.workers.get(finder).blocks++;
+        this.foundBlocks.push({ hash: block.hash, height, foundBy: finder, reward, payouts, status: 'pending', paid: [], txIds: [] });
+        if (this.foundBlocks.length > MAX_FOUND_BLOCKS) {
+            const oldest = this.foundBlocks.findIndex(found => found.status !== 'pending');
+            this.foundBlocks.splice(oldest === -1 ? 0 : oldest, 1);
+        }
+        console.log(`Pool found block ${block.hash} at height ${height} (share of ${finder}), splitting ${reward} coins between ${Object.keys(payouts).length} workers`);
+        this.processPayouts();
+    }
+
+    // Pay the workers of found blocks that are payoutConfirmations deep in the main chain; blocks that left the
+    // main chain by then are given up, their reward is gone. Payouts that were refused (e.g. the wallet's balance
+    // was still short) are tried again with every new head, as long as the block stays on the main chain
+    processPayouts() {
+        const headHeight = inventory.blockHeights.get(inventory.blockchainHead) || 0;
+        for (const found of this.foundBlocks) {
+            if (found.status !== 'pending' && found.status !== 'partly paid') continue;
+            if (headHeight - found.height < this.payoutConfirmations) continue;
+            if (!this.isOnMainChain(found.hash, found.height)) {
+                console.log(`Pool block ${found.hash} is no longer on the main chain, its reward is not paid out`);
+                found.status = 'orphaned';
+                continue;
+            }
+
+            for (const [worker, amount] of Object.entries(found.payouts)) {
+                if (found.paid.includes(worker)) continue;
+                const tx = signTransaction({
+                    id: `tx_${crypto.randomBytes(8).toString('hex')}`,
+                    receiver: worker,
+                    amount,
+                    nonce: inventory.getNextNonce(this.wallet.address),
+                    timestamp: Date.now()
+                }, this.wallet);
+                if (inventory.addTransaction(tx)) {
+                    found.paid.push(worker);
+                    found.txIds.push(tx.id);
+                } else {
+                    console.log(`Pool payout of ${amount} to ${worker} for block ${found.hash} was rejected, trying again with the next block`);
+                }
+            }
+            found.status = found.paid.length === Object.keys(found.payouts).length ? 'paid' : 'partly paid';
+            console.log(`Pool block ${found.hash}: ${found.paid.length} of ${Object.keys(found.payouts).length} payouts sent`);
+        }
+    }
+
+    isOnMainChain(hash, height) {
+        let current = inventory.blockchainHead;
+        for (let h = inventory.blockHeights.get(current); current && h > height; h--) {
+            current = inventory.blocks.get(current)?.previousHash;
+        }
+        return current === hash;
+    }
+
+    getStats() {
+        const now = Date.now();
+        const windowWeight = this.shares.reduce((sum, share) => sum + share.weight, 0);
+        const workers = Array.from(this.workers.entries()).map(([address, { recentWork, ...stats }]) => {
+            const windowShares = this.shares.filter(share => share.worker === address);
+            const weight = windowShares.reduce((sum, share) => sum + share.weight, 0);
+            const buckets = recentWork.filter(bucket => now - bucket.time <= HASH_RATE_WINDOW);
+            const work = buckets.reduce((sum, bucket) => sum + bucket.work, 0);
+            // Workers that joined less than a window ago are measured over the time since their first share
+            const seconds = buckets.length > 0 ? Math.max(1, (now - buckets[0].time) / 1000) : 1;
+            return {
+                address,
+                ...stats,
+                windowShares: windowShares.length,
+                windowPercent: windowWeight > 0 ? Math.round(weight / windowWeight * 10000) / 100 : 0,
+                hashRate: Math.round(work / seconds) // Hashes per second, estimated
+            };
+        });
+
+        return {
+            enabled: this.enabled,
+            address: this.wallet?.address || null,
+            shareDifficulty: this.shareDifficulty,
+            window: this.window,
+            windowShares: this.shares.length,
+            payoutConfirmations: this.payoutConfirmations,
+            hashRate: workers.reduce((sum, worker) => sum + worker.hashRate, 0),
+            workers,
+            blocks: this.foundBlocks
+        };
+    }
+}
+
+// Split reward (whole coins) by weight (BigInt work per worker). Everyone gets the whole coins of their part,
+// the coins left over go one each to the workers with the largest remainders, ties to the lowest address, so
+// the whole reward is paid out and every node computes the same split. Returns { address: coins } without zeros
+export function splitReward(reward, weights) {
+    const totalWeight = Array.from(weights.values()).reduce((sum, weight) => sum + weight, 0n);
+    if (totalWeight === 0n) return {};
+
+    const parts = Array.from(weights.entries()).map(([worker, weight]) => ({
+        worker,
+        amount: BigInt(reward) * weight / totalWeight,
+        remainder: BigInt(reward) * weight % totalWeight
+    }));
+    let leftover = BigInt(reward) - parts.reduce((sum, part) => sum + part.amount, 0n);
+    parts.sort((a, b) => (a.remainder === b.remainder ? (a.worker < b.worker ? -1 : 1) : (a.remainder > b.remainder ? -1 : 1)));
+    for (const part of parts) {
+        if (leftover === 0n) break;
+        part.amount++;
+        leftover--;
+    }
+
+    const payouts = {};
+    for (const { worker, amount } of parts.sort((a, b) => (a.worker < b.worker ? -1 : 1))) {
+        if (amount > 0n) payouts[worker] = Number(amount);
+    }
+    return payouts;
+}
+
+export const miningPool = new MiningPool();
@@ -0,0 +1,97 @@
+// ratelimit.mjs
+// Token bucket rate limits per client and route class, so a single client can't keep the node busy.
+// A bucket holds up to `burst` requests and refills with `perSecond` tokens every second
+export const DEFAULT_RATE_LIMITS = {
+    default: { burst: 60, perSecond: 20 },  // Status, balances and other cheap requests
+    heavy: { burst: 10, perSecond: 2 },     // Requests answered with many blocks or transactions
+    gossip: { burst: 200, perSecond: 100 }  // Blocks, transactions and peer lists from other nodes, pool shares
+};
+
+const HEAVY_ROUTES = ['/inventory', '/getblocks', '/headers', '/mempool', '/mempool/select', '/mining/template', '/mining/submit', '/getdata'];
+const GOSSIP_ROUTES = ['/block', '/inv', '/announce', '/sync', '/register', '/handshake', '/pool/share'];
+const IDLE_BUCKET_AGE = 10 * 60 * 1000; // Buckets of clients we haven't heard from for this long are dropped
+// The HTTP route each WebSocket link message type stands in for, so a peer pays the same either way
+const MESSAGE_ROUTES = { block: '/block', transaction: '/inv', announce: '/announce', getdata: '/getdata', peers: '/sync' };
+// Likewise the route each JSON-RPC method stands in for, [method, path]. A batch makes up to 100 calls in one
+// POST /rpc, so every call is charged on its own: the whole mempool or a walk down the chain costs a heavy token
+const RPC_METHOD_ROUTES = {
+    getBlock: ['GET', '/block'],
+    getBlockByHeight: ['GET', '/getblocks'],
+    getBalance: ['GET', '/balance'],
+    sendTransaction: ['POST', '/inv'],
+    getMempool: ['GET', '/mempool'],
+    getPeers: ['GET', '/peers'],
+    getChainInfo: ['GET', '/consensus']
+};
+
+export function getRouteClass(method, path) {
+    if (HEAVY_ROUTES.includes(path)) return 'heavy';
+    if (method === 'POST' && GOSSIP_ROUTES.includes(path)) return 'gossip';
+    return 'default';
+}
+
+// Route class of a message over a WebSocket link, pings and unknown types are default.
+// A request message is charged like a GET of the path it asks for
+export function getMessageClass(type, data) {
+    if (type === 'request') {
+        return getRouteClass('GET', new URL(String(data?.path), 'http://peer').pathname);
+    }
+    return getRouteClass('POST', MESSAGE_ROUTES[type] || '');
+}
+
+// Route class of a JSON-RPC call, methods not listed above are default
+export function getRpcMethodClass(method) {
+    const route = RPC_METHOD_ROUTES[method];
+    return route ? getRouteClass(...route) : 'default';
+}
+
+// Parse limits given as "heavy:10/2,gossip:200/100" (class:burst/perSecond) on top of the defaults.
+// Throws on an invalid entry
+export function parseRateLimits(text) {
+    const limits = { ...DEFAULT_RATE_LIMITS };
+    for (const entry of (text || '').split(',').filter(Boolean)) {
+        const match = entry.trim().match(/^(\w+):(\d+)\/(\d+(?:\.\d+)?)$/);
+        if (!match || !limits[match[1]] || !(parseFloat(match[3]) > 0)) {
+            throw new Error(`invalid rate limit "${entry}", expected <${Object.keys(limits).join('|')}>:<burst>/<perSecond>`);
+        }
+        limits[match[1]] = { burst: parseInt(match[2]), perSecond: parseFloat(match[3]) };
+    }
+    return limits;
+}
+
+export class RateLimiter {
+    constructor(limits = DEFAULT_RATE_LIMITS) {
+        this.limits = limits;
+        this.buckets = new Map(); // `${routeClass}:${client}` -> { tokens, updatedAt }
+        this.lastCleanup = Date.now();
+    }
+
+    // Take a token for a request from client (a peer's node id or an IP address).
+    // Returns { allowed: true }, or { allowed: false, retryAfter } with the seconds until the next token
+    take(client, routeClass) {
+        const limit = this.limits[routeClass] || this.limits.default;
+        const now = Date.now();
+        if (now - this.lastCleanup > IDLE_BUCKET_AGE) {
+            this.removeIdleBuckets(now);
+        }
+
+        const key = `${routeClass}:${client}`;
+        const bucket = this.buckets.get(key) || { tokens: limit.burst, updatedAt: now };
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.perSecond);
+        bucket.updatedAt = now;
+        this.buckets.set(key, bucket);
+
+        if (bucket.tokens < 1) {
+            return { allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) / limit.perSecond) };
+        }
+        bucket.tokens -= 1;
+        return { allowed: true };
+    }
+
+    removeIdleBuckets(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            if (now - bucket.updatedAt > IDLE_BUCKET_AGE) this.buckets.delete(key);
+        }
+        this.lastCleanup = now;
+    }
+}
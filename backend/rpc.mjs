@@ -0,0 +1,124 @@
+// rpc.mjs
+// JSON-RPC 2.0 (https://www.jsonrpc.org/specification) for wallets and scripts: one endpoint (POST /rpc) with
+// the same request and response shape for every method, next to the REST routes used by the nodes themselves
+export const MAX_BATCH_SIZE = 100;
+
+// Error codes from the specification, and ours in the range it leaves to the server (-32000 to -32099)
+export const RPC_ERRORS = {
+    parseError: -32700,      // The body is not valid JSON
+    invalidRequest: -32600,  // Not a JSON-RPC 2.0 request object
+    methodNotFound: -32601,
+    invalidParams: -32602,
+    internalError: -32603,
+    notFound: -32000,        // No block or transaction with that hash, height or id
+    rejected: -32001,        // The transaction was not accepted into the pending pool
+    rateLimited: -32002      // The client's rate limit for this method is used up, retry after data.retryAfter seconds
+};
+
+// Thrown by a method to answer with a specific error code
+export class RpcError extends Error {
+    constructor(code, message, data = undefined) {
+        super(message);
+        this.code = code;
+        this.data = data;
+    }
+}
+
+const methods = new Map(); // name -> { params, handler }
+
+// params are the names of the method's parameters in order, so they can be given by name ({ "hash": ... })
+// or by position ([...]). The handler gets them as an object and returns the result (or a promise of it)
+export function registerRpcMethod(name, params, handler) {
+    methods.set(name, { params, handler });
+}
+
+export function getRpcMethods() {
+    return Array.from(methods.keys());
+}
+
+// Answer a parsed request body: a single request or a batch. Returns the response to send back,
+// or null when there is nothing to answer (only notifications, i.e. requests without an id).
+// admit(method) is asked before each valid call runs: it returns null to run it, or an RpcError to answer instead
+export async function handleRpcRequest(body, admit = () => null) {
+    if (!Array.isArray(body)) {
+        return handleCall(body, admit);
+    }
+    if (body.length === 0) {
+        return createError(null, RPC_ERRORS.invalidRequest, 'Empty batch');
+    }
+    if (body.length > MAX_BATCH_SIZE) {
+        return createError(null, RPC_ERRORS.invalidRequest, `Batch larger than ${MAX_BATCH_SIZE} requests`);
+    }
+
+    // Calls of a batch run one after the other, so a sendTransaction sees the ones before it
+    const responses = [];
+    for (const call of body) {
+        const response = await handleCall(call, admit);
+        if (response) responses.push(response);
+    }
+    return responses.length > 0 ? responses : null;
+}
+
+export function createError(id, code, message, data = undefined) {
+    return {
+        jsonrpc: '2.0',
+        error: { code, message, ...(data !== undefined && { data }) },
+        id
+    };
+}
+
+async function handleCall(call, admit) {
+    if (!call || typeof call !== 'object' || Array.isArray(call) || call.jsonrpc !== '2.0' || typeof call.method !== 'string') {
+        return createError(getValidId(call), RPC_ERRORS.invalidRequest, 'Invalid request');
+    }
+    const isNotification = !('id' in call);
+    const id = getValidId(call);
+
+    const method = methods.get(call.method);
+    if (!method) {
+        return isNotification ? null : createError(id, RPC_ERRORS.methodNotFound, `Method ${call.method} not found`);
+    }
+
+    const params = getNamedParams(method.params, call.params);
+    if (!params) {
+        return isNotification ? null : createError(id, RPC_ERRORS.invalidParams, `Expected params ${JSON.stringify(method.params)}`);
+    }
+
+    const refusal = admit(call.method);
+    if (refusal) {
+        return isNotification ? null : createError(id, refusal.code, refusal.message, refusal.data);
+    }
+
+    try {
+        const result = await method.handler(params);
+        return isNotification ? null : { jsonrpc: '2.0', result: result === undefined ? null : result, id };
+    } catch (error) {
+        if (isNotification) return null;
+        if (error instanceof RpcError) {
+            return createError(id, error.code, error.message, error.data);
+        }
+        console.error(`RPC method ${call.method} failed:`, error);
+        return createError(id, RPC_ERRORS.internalError, 'Internal error');
+    }
+}
+
+// Ids may be strings, numbers or null; anything else can't be echoed back
+function getValidId(call) {
+    const id = call && typeof call === 'object' ? call.id : null;
+    return typeof id === 'string' || typeof id === 'number' ? id : null;
+}
+
+// Turn params given by position or by name into an object, null if they are neither
+function getNamedParams(names, params) {
+    if (params === undefined) {
+        return {};
+    }
+    if (Array.isArray(params)) {
+        if (params.length > names.length) return null;
+        return Object.fromEntries(params.map((value, i) => [names[i], value]));
+    }
+    if (params && typeof params === 'object') {
+        return params;
+    }
+    return null;
+}
@@ -0,0 +1,90 @@
+// session.mjs
+// Encrypted, authenticated links between peers. In the handshake both nodes send a fresh X25519 key signed
+// with their node key, whose hash is their nodeId. So each side knows which node it is talking to and nobody
+// else can compute the shared secret. Link messages are then encrypted with AES-256-GCM, one key per direction
+import crypto from 'crypto';
+import { verifyMessageSignature } from './wallet.mjs';
+
+export const HANDSHAKE_MAX_AGE = 5 * 60 * 1000; // Signed handshakes older than this (or as far ahead) are refused
+const KEY_INFO = 'DistributedLedger peer link v2';
+const TAG_LENGTH = 16;
+
+// A key pair for one key exchange, thrown away afterwards
+export function createKeyExchange() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+    return {
+        privateKey,
+        publicKey: publicKey.export({ format: 'der', type: 'spki' }).toString('hex')
+    };
+}
+
+// Check the signature on a peer's handshake: made recently by the key behind its nodeId and, if
+// expectedNodeId is given, by the node we meant to reach. Returns the reason to refuse it, or null
+export function checkSignedHandshake(message, expectedNodeId = null) {
+    if (expectedNodeId && message.nodeId !== expectedNodeId) {
+        return `expected node ${expectedNodeId}, got ${message.nodeId}`;
+    }
+    if (typeof message.ephemeralKey !== 'string') {
+        return 'no key exchange';
+    }
+    if (!Number.isFinite(message.timestamp) || Math.abs(Date.now() - message.timestamp) > HANDSHAKE_MAX_AGE) {
+        return 'handshake is too old or from the future';
+    }
+    if (!verifyMessageSignature(message, message.nodeId)) {
+        return 'handshake is not signed by the key of its nodeId';
+    }
+    return null;
+}
+
+// Both sides derive the same two keys from the shared secret; the initiator (the node that opened the
+// connection) sends with the first and the responder with the second. Throws on an invalid remote key
+export function deriveSession(exchange, remoteKey, isInitiator) {
+    const sharedSecret = crypto.diffieHellman({
+        privateKey: exchange.privateKey,
+        publicKey: crypto.createPublicKey({ key: Buffer.from(remoteKey, 'hex'), format: 'der', type: 'spki' })
+    });
+    const [initiatorKey, responderKey] = isInitiator ? [exchange.publicKey, remoteKey] : [remoteKey, exchange.publicKey];
+    const keys = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.from(initiatorKey + responderKey, 'hex'), KEY_INFO, 64));
+
+    const initiatorSendKey = keys.subarray(0, 32);
+    const responderSendKey = keys.subarray(32);
+    return isInitiator
+        ? new SecureSession(initiatorSendKey, responderSendKey)
+        : new SecureSession(responderSendKey, initiatorSendKey);
+}
+
+// Message n in each direction is encrypted with nonce n, so a replayed, dropped or reordered message
+// fails to decrypt just like a tampered one
+export class SecureSession {
+    constructor(sendKey, receiveKey) {
+        this.sendKey = sendKey;
+        this.receiveKey = receiveKey;
+        this.sendCounter = 0n;
+        this.receiveCounter = 0n;
+    }
+
+    encrypt(text) {
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.sendKey, getNonce(this.sendCounter++));
+        return Buffer.concat([cipher.update(text, 'utf8'), cipher.final(), cipher.getAuthTag()]).toString('base64');
+    }
+
+    // Throws if the message was not the next one from the peer or was changed on the way
+    decrypt(message) {
+        const data = Buffer.from(message, 'base64');
+        if (data.length < TAG_LENGTH) {
+            throw new Error('message too short');
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.receiveKey, getNonce(this.receiveCounter));
+        decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+        const text = Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_LENGTH)), decipher.final()]);
+        this.receiveCounter++;
+        return text.toString('utf8');
+    }
+}
+
+function getNonce(counter) {
+    const nonce = Buffer.alloc(12);
+    nonce.writeBigUInt64BE(counter, 4);
+    return nonce;
+}
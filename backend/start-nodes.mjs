@@ -2,6 +2,7 @@
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { getLocalAddress } from './address.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -82,24 +83,10 @@ if (bootstrapPeer) {
 
 // Wait a bit for the first node to start
 setTimeout(async () => {
-    // Determine the IP to use
-    let ip;
-    
-    if (useLocalhost) {
-        ip = '127.0.0.1';
-        console.log(`Using localhost (127.0.0.1) for local testing`);
-        startRemainingNodes(ip);
-    } else {
-        try {
-            // Get public IP for regular operation
-            ip = await fetch('https://api.ipify.org').then(r => r.text());
-            console.log(`Using public IP: ${ip}`);
-            startRemainingNodes(ip);
-        } catch (error) {
-            console.error('Failed to get public IP. This is required for the application to work properly.');
-            process.exit(1);
-        }
-    }
+    // Determine the IP to use: the nodes run on this machine, so an interface address works without internet access
+    const ip = useLocalhost ? '127.0.0.1' : getLocalAddress();
+    console.log(`Using ${useLocalhost ? 'localhost' : 'our interface address'} ${ip} for the nodes`);
+    startRemainingNodes(ip);
     
     // Start the remaining nodes
     function startRemainingNodes(ipAddress) {
@@ -0,0 +1,100 @@
+// storage.mjs
+import fs from 'fs';
+import path from 'path';
+
+const BLOCKS_FILE = 'blocks.jsonl';
+const STATE_FILE = 'state.json';
+
+// Append-only block log (one JSON block per line) plus a snapshot of the chain state
+export class BlockStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.blocksFile = path.join(dataDir, BLOCKS_FILE);
+        this.stateFile = path.join(dataDir, STATE_FILE);
+        this.blockCount = 0;
+
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    // Read all stored blocks in the order they were appended.
+    // A torn last line (crash in the middle of a write) is cut off so new blocks append cleanly
+    loadBlocks() {
+        if (!fs.existsSync(this.blocksFile)) {
+            this.blockCount = 0;
+            return [];
+        }
+
+        const content = fs.readFileSync(this.blocksFile, 'utf8');
+        const blocks = [];
+        let validLength = 0;
+
+        for (const line of content.split('\n')) {
+            if (line.trim() === '') {
+                validLength += line.length + 1;
+                continue;
+            }
+
+            try {
+                blocks.push(JSON.parse(line));
+                validLength += line.length + 1;
+            } catch (error) {
+                console.log(`Block store: discarding unreadable entry after ${blocks.length} blocks`);
+                fs.truncateSync(this.blocksFile, Buffer.byteLength(content.slice(0, validLength)));
+                break;
+            }
+        }
+
+        this.blockCount = blocks.length;
+        console.log(`Block store: loaded ${blocks.length} blocks from ${this.blocksFile}`);
+        return blocks;
+    }
+
+    appendBlock(block) {
+        const fd = fs.openSync(this.blocksFile, 'a');
+        try {
+            fs.writeSync(fd, JSON.stringify(block) + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        this.blockCount++;
+    }
+
+    // Rewrite the block log without the blocks whose hash is in `hashes`, through a temporary file like saveState
+    removeBlocks(hashes) {
+        if (!fs.existsSync(this.blocksFile)) return;
+
+        const lines = fs.readFileSync(this.blocksFile, 'utf8').split('\n').filter(line => {
+            if (line.trim() === '') return false;
+            try {
+                return !hashes.has(JSON.parse(line).hash);
+            } catch (error) {
+                return false; // A torn line, loadBlocks would cut it off too
+            }
+        });
+
+        const tmpFile = `${this.blocksFile}.tmp`;
+        fs.writeFileSync(tmpFile, lines.map(line => line + '\n').join(''));
+        fs.renameSync(tmpFile, this.blocksFile);
+        this.blockCount = lines.length;
+    }
+
+    // Returns null if there is no snapshot or it cannot be read
+    loadState() {
+        if (!fs.existsSync(this.stateFile)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        } catch (error) {
+            console.log(`Block store: ignoring unreadable state snapshot: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Write to a temporary file first so a crash never leaves a half-written snapshot
+    saveState(state) {
+        const tmpFile = `${this.stateFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ ...state, blockCount: this.blockCount }, null, 2));
+        fs.renameSync(tmpFile, this.stateFile);
+    }
+}
@@ -0,0 +1,266 @@
+// sync.mjs
+// Headers-first chain synchronisation. We first download the header chain of the peer with the most work
+// and check its proof-of-work, links and difficulty, which is cheap. Only then are the block bodies
+// fetched, in batches spread over all peers that have the chain, and added in order through addBlock.
+// Peers we have a WebSocket link with are asked over the link (requestFromPeer), others over HTTP
+import { getActivePeers, MISBEHAVIOR_PENALTIES, peerSupports, penalizePeer, requestFromPeer } from './network.mjs';
+import { consensusParams, getBlockWork, getNextDifficulty, hashMeetsDifficulty, isValidBlockTime } from './consensus.mjs';
+
+export const MAX_HEADERS_PER_REQUEST = 500;
+export const MAX_BLOCKS_PER_REQUEST = 100;
+const BODY_BATCH_SIZE = 20; // Blocks requested from one peer at a time
+
+export class ChainSync {
+    constructor(inventory) {
+        this.inventory = inventory;
+        this.syncing = false;
+    }
+
+    // Catch up with the best chain among our active peers (and any extra peers given, e.g. the
+    // bootstrap node we aren't connected to yet) that support headers-first sync. Returns the number of blocks added
+    async synchronize(extraPeers = []) {
+        if (this.syncing) {
+            console.log('Chain sync already in progress, skipping');
+            return 0;
+        }
+        this.syncing = true;
+
+        try {
+            const peers = new Map();
+            [...extraPeers, ...getActivePeers()].forEach(peer => {
+                if (peer && !peers.has(peer.id) && peerSupports(peer, 'headers')) peers.set(peer.id, peer);
+            });
+            if (peers.size === 0) return 0;
+
+            // Ask every peer how much work its chain has and try the best ones first
+            const ourWork = this.inventory.getChainWork(this.inventory.blockchainHead);
+            const candidates = (await Promise.all([...peers.values()].map(async peer => {
+                try {
+                    const consensus = await requestFromPeer(peer, '/consensus');
+                    return { peer, chainWork: BigInt(consensus.chainWork || 0) };
+                } catch (error) {
+                    console.log(`Chain sync: could not get consensus state from peer ${peer.id}: ${error.message}`);
+                    return null;
+                }
+            }))).filter(candidate => candidate && candidate.chainWork > ourWork)
+                .sort((a, b) => (b.chainWork > a.chainWork ? 1 : b.chainWork < a.chainWork ? -1 : 0));
+
+            if (candidates.length === 0) {
+                console.log(`Chain sync: no peer has more work than our chain (${ourWork}), nothing to do`);
+                return 0;
+            }
+
+            for (const { peer } of candidates) {
+                console.log(`Chain sync: downloading headers from peer ${peer.id} at ${peer.ip}:${peer.port}`);
+                const headers = await this.downloadHeaders(peer);
+                if (!headers) continue;
+
+                const newHeaders = headers.filter(entry => !this.inventory.blocks.has(entry.header.hash));
+                const tip = headers[headers.length - 1];
+                if (newHeaders.length === 0 || tip.work <= ourWork) {
+                    console.log(`Chain sync: header chain from peer ${peer.id} does not have more work than ours`);
+                    continue;
+                }
+
+                console.log(`Chain sync: ${newHeaders.length} new headers up to height ${tip.height}, downloading bodies`);
+                const bodyPeers = [peer, ...candidates.map(c => c.peer).filter(p => p !== peer)];
+                const bodies = await this.downloadBodies(newHeaders.map(entry => entry.header.hash), bodyPeers);
+
+                return this.connectBodies(newHeaders, bodies);
+            }
+
+            return 0;
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    // Hashes of our main chain from the head back to genesis: the last 10 one by one, then with
+    // gaps doubling each step. The peer answers from the newest hash it knows, so this finds our
+    // fork point even if we are far behind or on a side chain
+    getBlockLocator() {
+        const chain = this.inventory.getChainToBlock(this.inventory.blockchainHead);
+        const locator = [];
+        let step = 1;
+
+        for (let i = chain.length - 1; i >= 0; i -= step) {
+            locator.push(chain[i]);
+            if (locator.length >= 10) step *= 2;
+        }
+        if (chain.length > 0 && locator[locator.length - 1] !== chain[0]) {
+            locator.push(chain[0]);
+        }
+        return locator;
+    }
+
+    // Fetch the peer's headers after our fork point and check them as we go.
+    // Returns [{ header, height, work }] in chain order, or null if the peer sent an invalid chain
+    async downloadHeaders(peer) {
+        const headers = [];
+        const known = new Map(); // hash -> { header, height, work } for headers checked in this download
+        let locator = this.getBlockLocator();
+
+        while (true) {
+            let response;
+            try {
+                response = await requestFromPeer(peer, `/headers?from=${locator.join(',')}&limit=${MAX_HEADERS_PER_REQUEST}`);
+            } catch (error) {
+                console.log(`Chain sync: failed to get headers from peer ${peer.id}: ${error.message}`);
+                return headers.length > 0 ? headers : null;
+            }
+
+            const batch = Array.isArray(response.headers) ? response.headers : [];
+            let added = 0;
+            for (const header of batch) {
+                if (known.has(header.hash)) continue;
+
+                const entry = this.validateHeader(header, known);
+                if (!entry) {
+                    console.log(`Chain sync: peer ${peer.id} sent invalid header ${header && header.hash}, dropping its header chain`);
+                    penalizePeer(peer.id, MISBEHAVIOR_PENALTIES.invalidHeader, 'invalid header during chain sync');
+                    return null;
+                }
+                known.set(header.hash, entry);
+                headers.push(entry);
+                added++;
+            }
+
+            if (batch.length < MAX_HEADERS_PER_REQUEST || added === 0) break;
+            locator = [headers[headers.length - 1].header.hash];
+        }
+
+        return headers;
+    }
+
+    // Check a header against its parent, which is either in our block tree or earlier in the download.
+    // Everything that doesn't need the transactions is checked here; addBlock checks the rest later
+    validateHeader(header, known) {
+        const inventory = this.inventory;
+        if (!header || typeof header.hash !== 'string' || inventory.calculateBlockHash(header) !== header.hash) {
+            return null;
+        }
+
+        if (inventory.blocks.has(header.hash)) {
+            return {
+                header,
+                height: inventory.blockHeights.get(header.hash),
+                work: inventory.getChainWork(header.hash)
+            };
+        }
+
+        // A genesis we don't have is only acceptable when we have no chain at all
+        if (header.isGenesis) {
+            if (inventory.genesisCreated) return null;
+            return { header, height: 0, work: getBlockWork(header) };
+        }
+
+        const parentEntry = known.get(header.previousHash);
+        const parent = parentEntry ? parentEntry.header : inventory.blocks.get(header.previousHash);
+        if (!parent) return null;
+
+        const parentHeight = parentEntry ? parentEntry.height : inventory.blockHeights.get(header.previousHash);
+        const parentWork = parentEntry ? parentEntry.work : inventory.getChainWork(header.previousHash);
+        const getBlock = hash => known.get(hash)?.header || inventory.blocks.get(hash);
+
+        if (header.difficulty < consensusParams.minDifficulty ||
+            !hashMeetsDifficulty(header.hash, header.difficulty) ||
+            !isValidBlockTime(header, parent, getBlock) ||
+            header.difficulty !== getNextDifficulty(parent, parentHeight, getBlock)) {
+            return null;
+        }
+
+        return { header, height: parentHeight + 1, work: parentWork + getBlockWork(header) };
+    }
+
+    // Download block bodies in batches. Every peer works through the shared queue at the same time; a peer that
+    // fails to deliver a batch stops, and what it didn't deliver goes back on the queue for the others. Peers wait
+    // while batches are in flight rather than stop when the queue is empty, a batch can still come back.
+    // Returns hash -> { block, peer }
+    async downloadBodies(hashes, peers) {
+        const queue = [];
+        for (let i = 0; i < hashes.length; i += BODY_BATCH_SIZE) {
+            queue.push(hashes.slice(i, i + BODY_BATCH_SIZE));
+        }
+        const bodies = new Map();
+        let inFlight = 0;
+        const waiting = []; // Peers waiting for a batch in flight to be delivered or requeued
+
+        await Promise.all(peers.map(async peer => {
+            while (queue.length > 0 || inFlight > 0) {
+                if (queue.length === 0) {
+                    await new Promise(resolve => waiting.push(resolve));
+                    continue;
+                }
+
+                const batch = queue.shift();
+                let missing = batch;
+                inFlight++;
+                try {
+                    const blocks = await requestFromPeer(peer, `/getblocks?hashes=${batch.join(',')}`);
+                    missing = batch.filter(hash => !this.acceptBody(hash, blocks, peer, bodies));
+                    if (missing.length > 0) {
+                        console.log(`Chain sync: peer ${peer.id} did not deliver ${missing.length} blocks`);
+                    } else {
+                        console.log(`Chain sync: received ${batch.length} blocks from peer ${peer.id} (${bodies.size}/${hashes.length})`);
+                    }
+                } catch (error) {
+                    console.log(`Chain sync: failed to download blocks from peer ${peer.id}: ${error.message}`);
+                } finally {
+                    // Whatever happened, the undelivered part of the batch is back on the queue before the
+                    // waiting peers look at it again
+                    inFlight--;
+                    if (missing.length > 0) queue.push(missing);
+                    waiting.splice(0).forEach(resolve => resolve());
+                }
+                if (missing.length > 0) return;
+            }
+        }));
+
+        return bodies;
+    }
+
+    // Keep the body of block `hash` from a peer's answer if it is the block of the header we checked: it hashes to
+    // the header, and its transactions are the ones the header's merkle root commits to. A body that doesn't match
+    // counts against the peer. Returns whether the body was kept
+    acceptBody(hash, blocks, peer, bodies) {
+        const block = Array.isArray(blocks) ? blocks.find(b => b && b.hash === hash) : null;
+        if (!block) return false;
+
+        if (this.inventory.calculateBlockHash(block) !== hash) {
+            penalizePeer(peer.id, MISBEHAVIOR_PENALTIES.invalidBlock, `block body does not match header ${hash}`);
+            return false;
+        }
+        if (!this.inventory.validateMerkleRoot(block)) {
+            penalizePeer(peer.id, MISBEHAVIOR_PENALTIES.invalidBlock, `transactions of block ${hash} do not match its merkle root`);
+            return false;
+        }
+        bodies.set(hash, { block, peer });
+        return true;
+    }
+
+    // Add the downloaded blocks in chain order. Stops at the first block that is missing or invalid
+    connectBodies(headers, bodies) {
+        let added = 0;
+        for (const { header } of headers) {
+            if (this.inventory.blocks.has(header.hash)) {
+                continue; // Arrived by other means while we were downloading
+            }
+            const body = bodies.get(header.hash);
+            if (!body) {
+                console.log(`Chain sync: block ${header.hash} was not downloaded, stopping`);
+                break;
+            }
+            // A copy relayed to us before its parent arrived is waiting in the orphan pool; the parent is there now
+            this.inventory.removeOrphanBlock(header.hash);
+            if (!this.inventory.addBlock(body.block, body.peer, false)) {
+                // addBlock has already penalised the peer
+                console.log(`Chain sync: block ${header.hash} from peer ${body.peer.id} was rejected, stopping`);
+                break;
+            }
+            added++;
+        }
+
+        console.log(`Chain sync: added ${added} of ${headers.length} blocks, head ${this.inventory.blockchainHead}`);
+        return added;
+    }
+}
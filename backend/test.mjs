@@ -3,6 +3,7 @@ import path from 'path';
 import {fileURLToPath} from 'url';
 import readline from 'readline';
 import { mineBlock } from './miner.mjs';
+import { getLocalAddress } from './address.mjs';
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -68,20 +69,8 @@ async function startNodes() {
     console.log("Launching nodes...");
 
     // Get IP address to use
-    let publicIp;
-    if (useLocalhost) {
-        publicIp = '127.0.0.1';
-        console.log(`Using localhost (127.0.0.1) for local testing`);
-    } else {
-        try {
-            publicIp = await fetch('https://api.ipify.org').then(r => r.text());
-            console.log(`Using public IP: ${publicIp}`);
-        } catch (error) {
-            console.error('Failed to get public IP. This is required for the application to work properly.');
-            process.exit(1);
-            return;
-        }
-    }
+    const publicIp = useLocalhost ? '127.0.0.1' : getLocalAddress();
+    console.log(`Using ${useLocalhost ? 'localhost' : 'our interface address'} ${publicIp} for the nodes`);
 
     // Start first node, potentially using external bootstrap peer
     const firstNodePort = BASE_PORT;
@@ -202,22 +191,10 @@ async function sendTransaction(fromPort, toPort) {
 
             console.log(`\nSending transaction ${transaction.id} from ${transaction.sender} to ${transaction.receiver}`);
 
-            // Use localhost or fetch public IP based on flag
-            let ipToUse;
-            if (useLocalhost) {
-                ipToUse = '127.0.0.1';
-            } else {
-                try {
-                    ipToUse = await fetch('https://api.ipify.org').then(r => r.text());
-                } catch (error) {
-                    console.error('Failed to get public IP for transaction.');
-                    resolve();
-                    return;
-                }
-            }
-
             try {
-                const response = await fetch(`http://${ipToUse}:${senderNode.port}/inv`, {
+                // The sender node signs the transaction with its own key before accepting it. /send only
+                // answers requests from this machine, so the node is reached at localhost
+                const response = await fetch(`http://127.0.0.1:${senderNode.port}/send`, {
                     method: 'POST',
                     headers: {'Content-Type': 'application/json'},
                     body: JSON.stringify(transaction)
@@ -225,7 +202,7 @@ async function sendTransaction(fromPort, toPort) {
 
                 const responseData = await response.json();
 
-                if (response.ok) {
+                if (response.ok && responseData.status === 'added') {
                     console.log(`Transaction ${transaction.id} sent to node ${receiverNode.port}`);
                 } else {
                     console.error(`Failed to send transaction ${transaction.id}`);
@@ -248,18 +225,8 @@ async function sendBlock(fromPort) {
         return;
     }
 
-    // Use localhost or fetch public IP based on flag
-    let ipToUse;
-    if (useLocalhost) {
-        ipToUse = '127.0.0.1';
-    } else {
-        try {
-            ipToUse = await fetch('https://api.ipify.org').then(r => r.text());
-        } catch (error) {
-            console.error('Failed to get public IP for block creation.');
-            return;
-        }
-    }
+    // Our nodes run on this machine: reach them at localhost or at the address they advertise
+    const ipToUse = useLocalhost ? '127.0.0.1' : getLocalAddress();
 
     try {
         // Fetch transactions from the selected node
@@ -293,18 +260,8 @@ async function sendBlock(fromPort) {
 
 
 async function showInventory(port) {
-    // Use localhost or fetch public IP based on flag
-    let ipToUse;
-    if (useLocalhost) {
-        ipToUse = '127.0.0.1';
-    } else {
-        try {
-            ipToUse = await fetch('https://api.ipify.org').then(r => r.text());
-        } catch (error) {
-            console.error('Failed to get public IP for inventory check.');
-            return;
-        }
-    }
+    // Our nodes run on this machine: reach them at localhost or at the address they advertise
+    const ipToUse = useLocalhost ? '127.0.0.1' : getLocalAddress();
 
     try {
         const response = await fetch(`http://${ipToUse}:${port}/inventory`);
@@ -331,18 +288,8 @@ async function showInventory(port) {
 }
 
 async function showNetworkStatus() {
-    // Use localhost or fetch public IP based on flag
-    let ipToUse;
-    if (useLocalhost) {
-        ipToUse = '127.0.0.1';
-    } else {
-        try {
-            ipToUse = await fetch('https://api.ipify.org').then(r => r.text());
-        } catch (error) {
-            console.error('Failed to get public IP for network status check.');
-            return;
-        }
-    }
+    // Our nodes run on this machine: reach them at localhost or at the address they advertise
+    const ipToUse = useLocalhost ? '127.0.0.1' : getLocalAddress();
 
     const stats = [];
     for (const node of NODES) {
@@ -383,17 +330,8 @@ async function listActiveNodes() {
 
 // Check node balances
 async function checkBalances(port) {
-    let ipToUse;
-    if (useLocalhost) {
-        ipToUse = '127.0.0.1';
-    } else {
-        try {
-            ipToUse = await fetch('https://api.ipify.org').then(r => r.text());
-        } catch (error) {
-            console.error('Failed to get public IP for balance check.');
-            return;
-        }
-    }
+    // Our nodes run on this machine: reach them at localhost or at the address they advertise
+    const ipToUse = useLocalhost ? '127.0.0.1' : getLocalAddress();
 
     try {
         const response = await fetch(`http://${ipToUse}:${port}/balance`);
@@ -465,10 +403,11 @@ async function runSimulation(durationSecs) {
             return;
         }
         
-        // Only proceed if sender has funds
-        if (senderBalance > 0) {
-            // Generate random amount between 1 and sender's balance
-            const amount = Math.floor(Math.random() * senderBalance) + 1;
+        // Only proceed if sender has funds for at least 1 coin plus the fee
+        const fee = Math.floor(Math.random() * 3); // Random fee of 0-2 coins so blocks prefer some transactions
+        if (senderBalance > fee) {
+            // Generate random amount between 1 and what's left of sender's balance after the fee
+            const amount = Math.floor(Math.random() * (senderBalance - fee)) + 1;
             
             // Prepare transaction
             const transaction = {
@@ -476,19 +415,21 @@ async function runSimulation(durationSecs) {
                 sender: nodeIds[fromPort],
                 receiver: nodeIds[toPort],
                 amount: amount,
+                fee: fee,
                 timestamp: Date.now()
             };
             
             // Send transaction
             try {
-                const response = await fetch(`http://127.0.0.1:${fromPort}/inv`, {
+                const response = await fetch(`http://127.0.0.1:${fromPort}/send`, {
                     method: 'POST',
                     headers: {'Content-Type': 'application/json'},
                     body: JSON.stringify(transaction)
                 });
+                const responseData = await response.json();
                 
-                if (response.ok) {
-                    console.log(`TX ${txCount+1}: ${transaction.sender} sent ${amount} to ${transaction.receiver}`);
+                if (response.ok && responseData.status === 'added') {
+                    console.log(`TX ${txCount+1}: ${transaction.sender} sent ${amount} (fee ${fee}) to ${transaction.receiver}`);
                     txCount++;
                 }
             } catch (error) {
@@ -531,7 +472,7 @@ async function runSimulation(durationSecs) {
             
             // Mine the block
             console.log(`Mining block with ${Math.min(pendingTxCount, maxTxPerBlock)} of ${pendingTxCount} pending transactions`);
-            const block = await mineBlock(minerId, '', 1, 4, minerPort, useLocalhost);
+            const block = await mineBlock(minerId, '', 1, minerPort, useLocalhost);
             
             if (block && block.hash) {
                 // Wait longer for network propagation and block processing
@@ -755,7 +696,7 @@ async function showMenu() {
                         console.error(`Could not get node ID, using fallback: ${nodeId}`, error.message);
                     }
                     
-                    await mineBlock(nodeId, '', 1, 4, parsedPort, useLocalhost);
+                    await mineBlock(nodeId, '', 1, parsedPort, useLocalhost);
                     return showMenu();
                 });
             });
@@ -0,0 +1,98 @@
+// address.test.mjs
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import { addressManager, getLocalAddress, isPrivateAddress } from '../address.mjs';
+
+// Pretend the machine has these IPv4 interface addresses (besides loopback)
+function mockInterfaces(...addresses) {
+    mock.method(os, 'networkInterfaces', () => ({
+        lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }],
+        eth0: addresses.map(address => ({ address, family: 'IPv4', internal: false }))
+    }));
+}
+
+// Lookup service answering with `body`, closed again after the test
+async function startLookupService(body) {
+    const server = http.createServer((req, res) => res.end(body));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { url: `http://127.0.0.1:${server.address().port}/`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+afterEach(() => {
+    mock.restoreAll();
+    addressManager.observations.clear();
+});
+
+test('knows LAN and public addresses apart', () => {
+    for (const ip of ['10.1.2.3', '127.0.0.1', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.0.1', '100.64.0.1']) {
+        assert.equal(isPrivateAddress(ip), true, ip);
+    }
+    for (const ip of ['8.8.8.8', '172.32.0.1', '100.128.0.1', '203.0.113.5']) {
+        assert.equal(isPrivateAddress(ip), false, ip);
+    }
+});
+
+test('prefers a public interface address, then a LAN one, then 127.0.0.1', () => {
+    mockInterfaces('192.168.1.20', '203.0.113.5');
+    assert.equal(getLocalAddress(), '203.0.113.5');
+    mockInterfaces('192.168.1.20');
+    assert.equal(getLocalAddress(), '192.168.1.20');
+    mockInterfaces();
+    assert.equal(getLocalAddress(), '127.0.0.1');
+});
+
+test('an advertised address comes before --localhost and the interfaces', async () => {
+    mockInterfaces('203.0.113.5');
+    assert.equal(await addressManager.discover({ advertiseAddr: '198.51.100.7', localhost: true }), '198.51.100.7');
+    assert.equal(addressManager.source, 'advertised');
+    assert.equal(await addressManager.discover({ localhost: true }), '127.0.0.1');
+    assert.equal(addressManager.source, 'localhost');
+    assert.equal(await addressManager.discover({}), '203.0.113.5');
+    assert.equal(addressManager.source, 'interface');
+});
+
+test('asks the lookup service only without a public interface address', async () => {
+    const lookup = await startLookupService('198.51.100.7\n');
+    try {
+        mockInterfaces('203.0.113.5');
+        assert.equal(await addressManager.discover({ lookupUrl: lookup.url }), '203.0.113.5');
+        assert.equal(addressManager.source, 'interface');
+
+        mockInterfaces('192.168.1.20');
+        assert.equal(await addressManager.discover({ lookupUrl: lookup.url }), '198.51.100.7');
+        assert.equal(addressManager.source, 'lookup');
+    } finally {
+        await lookup.close();
+    }
+});
+
+test('falls back to the interface address when the lookup fails', async () => {
+    const lookup = await startLookupService('<html>not an address</html>');
+    try {
+        mockInterfaces('192.168.1.20');
+        assert.equal(await addressManager.discover({ lookupUrl: lookup.url }), '192.168.1.20');
+        assert.equal(addressManager.source, 'interface');
+    } finally {
+        await lookup.close();
+    }
+});
+
+test('switches to an address once enough peers observe it, unless it was given', async () => {
+    mockInterfaces('192.168.1.20');
+    await addressManager.discover({});
+    addressManager.recordObservation('198.51.100.7', 'peer-a');
+    assert.equal(addressManager.address, '192.168.1.20');
+    addressManager.recordObservation('198.51.100.7', 'peer-a'); // The same peer again doesn't count twice
+    assert.equal(addressManager.address, '192.168.1.20');
+    addressManager.recordObservation('198.51.100.7', 'peer-b');
+    assert.equal(addressManager.address, '198.51.100.7');
+    assert.equal(addressManager.source, 'observed');
+
+    addressManager.observations.clear();
+    await addressManager.discover({ localhost: true });
+    addressManager.recordObservation('198.51.100.7', 'peer-a');
+    addressManager.recordObservation('198.51.100.7', 'peer-b');
+    assert.equal(addressManager.address, '127.0.0.1');
+});
@@ -0,0 +1,142 @@
+// config.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, parseYaml } from '../config.mjs';
+
+// Write a config file to a new temporary directory, remove it when done
+function withConfigFile(name, content, run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    try {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return run(file);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('parses nested sections, scalars and comments', () => {
+    const yaml = [
+        '# Node settings',
+        'network:',
+        '  port: 3005   # comment after a value',
+        '  localhost: true',
+        '  advertiseAddr: node1.example.com',
+        'api:',
+        '  adminToken: "secret # not a comment"',
+        "  rateLimits: 'heavy:20/5'",
+        '  requestTimeout: 2.5',
+        'storage:',
+        '  keyFile: ~',
+        '  dataDir:'
+    ].join('\n');
+
+    assert.deepEqual(parseYaml(yaml), {
+        network: { port: 3005, localhost: true, advertiseAddr: 'node1.example.com' },
+        api: { adminToken: 'secret # not a comment', rateLimits: 'heavy:20/5', requestTimeout: 2.5 },
+        storage: { keyFile: null, dataDir: null }
+    });
+});
+
+test('parses lists in both forms', () => {
+    assert.deepEqual(parseYaml('network:\n  peers:\n    - 10.0.0.1:3000\n    - "10.0.0.2:3000"'),
+        { network: { peers: ['10.0.0.1:3000', '10.0.0.2:3000'] } });
+    // Items at the key's own indentation belong to it too
+    assert.deepEqual(parseYaml('network:\n  peers:\n  - a\n  - b\n  port: 1'), { network: { peers: ['a', 'b'], port: 1 } });
+    assert.deepEqual(parseYaml('network:\n  peers: [a, "b", 3]'), { network: { peers: ['a', 'b', 3] } });
+    assert.deepEqual(parseYaml('network:\n  peers: []'), { network: { peers: [] } });
+    assert.deepEqual(parseYaml('# nothing\n\n'), {});
+});
+
+test('refuses YAML it does not understand, with the line number', () => {
+    assert.throws(() => parseYaml('network:\n\tport: 1'), /line 2: use spaces, not tabs/);
+    assert.throws(() => parseYaml('network:\n  port: 1\n    extra: 2'), /line 3: unexpected indentation/);
+    assert.throws(() => parseYaml('network:\n  just text'), /line 2: expected "key: value"/);
+    assert.throws(() => parseYaml('network:\n  port: 1\n  port: 2'), /line 3: port is given twice/);
+    assert.throws(() => parseYaml("api:\n  adminToken: 'open"), /line 2: unterminated single quoted string/);
+    assert.throws(() => parseYaml('api:\n  adminToken: "open'), /line 2: invalid double quoted string/);
+    assert.throws(() => parseYaml('network:\n  peers: [a, b'), /line 2: unterminated list/);
+});
+
+test('layers defaults, config file, environment and flags', () => {
+    const yaml = 'network:\n  port: 3001\n  syncInterval: 10\n  peerTimeout: 60\nmining:\n  maxBlockTransactions: 20\n';
+    withConfigFile('node.yaml', yaml, file => {
+        const env = { DL_CONFIG: file, DL_PORT: '3002', DL_SYNC_INTERVAL: '15' };
+        const { config, sources, configFile, errors } = loadConfig(['--port=3003'], env);
+
+        assert.deepEqual(errors, []);
+        assert.equal(configFile, file);
+        assert.equal(config.network.port, 3003);
+        assert.equal(sources['network.port'], '--port');
+        assert.equal(config.network.syncInterval, 15);
+        assert.equal(sources['network.syncInterval'], 'env DL_SYNC_INTERVAL');
+        assert.equal(config.network.peerTimeout, 60);
+        assert.equal(sources['network.peerTimeout'], file);
+        assert.equal(config.mining.maxBlockTransactions, 20);
+        assert.equal(config.api.maxBodySize, 1024 * 1024);
+        assert.equal(sources['api.maxBodySize'], 'default');
+        // Paths that depend on the port follow the final one
+        assert.equal(config.storage.dataDir, path.join('data', 'node-3003'));
+    });
+});
+
+test('takes the config file from --config, in JSON too', () => {
+    withConfigFile('node.json', JSON.stringify({ network: { peers: ['10.0.0.1:3000'] } }), file => {
+        const { config, errors } = loadConfig([`--config=${file}`, '3010'], {});
+        assert.deepEqual(errors, []);
+        assert.deepEqual(config.network.peers, ['10.0.0.1:3000']);
+        assert.equal(config.network.port, 3010);
+    });
+});
+
+test('converts environment and flag strings to the type of the setting', () => {
+    const { config, errors } = loadConfig(['--peer=10.0.0.1:3000, 10.0.0.2:3000', '--mine'], { DL_LOCALHOST: 'yes', DL_REQUEST_TIMEOUT: '1.5' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config.network.peers, ['10.0.0.1:3000', '10.0.0.2:3000']);
+    assert.equal(config.mining.enabled, true);
+    assert.equal(config.network.localhost, true);
+    assert.equal(config.api.requestTimeout, 1.5);
+});
+
+test('reports every invalid setting at once', () => {
+    const yaml = 'network:\n  port: 70000\n  colour: blue\nmining: 5\napi:\n  adminToken: 12345\n';
+    withConfigFile('node.yml', yaml, file => {
+        const { errors } = loadConfig([
+            `--config=${file}`, '--max-body-size=small', '--localhost=maybe', '--sync-interval=-1',
+            '--rate-limits=heavy:x', '--mining-address=nobody', '--advertise-addr=not an address',
+            '--no-such-flag', '--port=1', '--port=2', '3000', '3001'
+        ], {});
+
+        const expected = [
+            /^network\.port from .*node\.yml: must be at most 65535, got 70000$/,
+            /^unknown setting network\.colour in .*node\.yml$/,
+            /^mining in .*node\.yml has to be a section with settings$/,
+            /^api\.adminToken from .*node\.yml: must be a string, got <redacted>$/,
+            /^api\.maxBodySize from --max-body-size: must be a whole number, got "small"$/,
+            /^network\.localhost from --localhost: must be true or false/,
+            /^network\.syncInterval from --sync-interval: must be a positive number of seconds/,
+            /^api\.rateLimits from --rate-limits: invalid rate limit "heavy:x"/,
+            /^mining\.address from --mining-address: must be an address/,
+            /^network\.advertiseAddr from --advertise-addr: must be an IPv4 address or a host name/,
+            /^unknown option --no-such-flag/,
+            /^--port is given more than once$/,
+            /^unexpected arguments 3001$/
+        ];
+        for (const pattern of expected) {
+            assert.ok(errors.some(error => pattern.test(error)), `no error matching ${pattern} in ${JSON.stringify(errors, null, 2)}`);
+        }
+    });
+});
+
+test('reports a config file that cannot be read or parsed', () => {
+    assert.match(loadConfig(['--config=/nonexistent/node.yaml'], {}).errors[0], /^cannot read config file \/nonexistent\/node\.yaml/);
+    withConfigFile('node.yaml', 'network:\n  port: 1\n    bad: 2\n', file => {
+        assert.match(loadConfig([], { DL_CONFIG: file }).errors[0], /line 3: unexpected indentation/);
+    });
+    withConfigFile('node.json', '[1, 2]', file => {
+        assert.match(loadConfig([`--config=${file}`], {}).errors[0], /has to contain sections like "network:"/);
+    });
+});
@@ -0,0 +1,63 @@
+// consensus.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkTransactionAmounts, getMedianTimePast, isValidBlockTime } from '../consensus.mjs';
+
+test('accepts whole coin amounts and fees', () => {
+    assert.equal(checkTransactionAmounts({ amount: 5 }), null);
+    assert.equal(checkTransactionAmounts({ amount: 5, fee: 0 }), null);
+    assert.equal(checkTransactionAmounts({ amount: 5, fee: 2 }), null);
+});
+
+test('rejects a string, negative, zero or fractional amount', () => {
+    for (const amount of ['5', -5, 0, 1.5, NaN, Infinity, undefined, null, 2 ** 53]) {
+        assert.match(checkTransactionAmounts({ amount }), /^amount must be a positive integer/, `amount ${amount}`);
+    }
+});
+
+test('rejects a string, negative or fractional fee', () => {
+    for (const fee of ['1', -1, 0.5, null]) {
+        assert.match(checkTransactionAmounts({ amount: 5, fee }), /^fee must be a non-negative integer/, `fee ${fee}`);
+    }
+});
+
+// A chain of blocks one minute apart, starting at `start`, as a hash -> block map for getBlock
+function createChain(length, start = Date.UTC(2024, 0, 1)) {
+    const blocks = new Map();
+    for (let i = 0; i < length; i++) {
+        blocks.set(`b${i}`, {
+            isGenesis: i === 0,
+            previousHash: i === 0 ? null : `b${i - 1}`,
+            timestamp: new Date(start + i * 60000).toISOString()
+        });
+    }
+    return blocks;
+}
+
+test('median time past is the middle of the last 11 block times', () => {
+    const blocks = createChain(20);
+    const tip = blocks.get('b19');
+    // Blocks 9 to 19, the median is block 14
+    assert.equal(getMedianTimePast(tip, hash => blocks.get(hash)), new Date(blocks.get('b14').timestamp).getTime());
+    // Near genesis there are fewer blocks to take the median of
+    assert.equal(getMedianTimePast(blocks.get('b2'), hash => blocks.get(hash)), new Date(blocks.get('b1').timestamp).getTime());
+});
+
+test('rejects a block not later than the median time past (time-warp)', () => {
+    const blocks = createChain(20);
+    const parent = blocks.get('b19');
+    const getBlock = hash => blocks.get(hash);
+    const median = new Date(blocks.get('b14').timestamp).getTime();
+
+    assert.equal(isValidBlockTime({ timestamp: new Date(median).toISOString() }, parent, getBlock), false);
+    assert.equal(isValidBlockTime({ timestamp: new Date(median - 3600000).toISOString() }, parent, getBlock), false);
+    // Earlier than its parent but after the median is fine
+    assert.equal(isValidBlockTime({ timestamp: new Date(median + 1).toISOString() }, parent, getBlock), true);
+    // Without the parent (an orphan) only the upper bound is checked
+    assert.equal(isValidBlockTime({ timestamp: new Date(median - 3600000).toISOString() }), true);
+});
+
+test('rejects a block too far in the future or without a valid time', () => {
+    assert.equal(isValidBlockTime({ timestamp: new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString() }), false);
+    assert.equal(isValidBlockTime({ timestamp: 'yesterday' }), false);
+});
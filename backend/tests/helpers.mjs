@@ -0,0 +1,62 @@
+// helpers.mjs
+// Shared setup of the tests that need a chain: in-memory wallets, an inventory with a genesis block and blocks
+// mined at the lowest difficulty, so a block takes a few hundred hashes
+import crypto from 'crypto';
+import { mock } from 'node:test';
+import { configureConsensus, consensusParams, createCoinbaseTransaction, getMedianTimePast, searchNonce } from '../consensus.mjs';
+import { InventoryManager } from '../inventory.mjs';
+import { getMerkleRoot } from '../merkle.mjs';
+import { deriveAddress, signTransaction } from '../wallet.mjs';
+
+configureConsensus({ initialDifficulty: consensusParams.minDifficulty });
+
+// The inventory explains every step on the console, which drowns the test report
+export function silenceLogs() {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+}
+
+// Wallet like loadOrCreateWallet's, without a key file
+export function createWallet() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicKeyHex = publicKey.export({ format: 'der', type: 'spki' }).toString('hex');
+    return { address: deriveAddress(publicKeyHex), publicKey: publicKeyHex, privateKey };
+}
+
+// A new inventory whose genesis block gives wallet the genesis balance
+export function createChain(wallet) {
+    const inventory = new InventoryManager();
+    inventory.createGenesisBlock(wallet.address);
+    return inventory;
+}
+
+export function createTransfer(wallet, receiver, amount, nonce, fields = {}) {
+    return signTransaction({
+        id: `tx_${crypto.randomBytes(8).toString('hex')}`,
+        receiver,
+        amount,
+        nonce,
+        timestamp: Date.now(),
+        ...fields
+    }, wallet);
+}
+
+// Mine a block on parentHash (our head by default) paying miner, with the given transactions after the coinbase
+export function mineBlock(inventory, miner, transactions = [], parentHash = inventory.blockchainHead) {
+    const parent = inventory.blocks.get(parentHash);
+    const height = inventory.blockHeights.get(parentHash) + 1;
+    const allTransactions = [createCoinbaseTransaction(miner.address, height, parentHash), ...transactions];
+    const medianTimePast = getMedianTimePast(parent, hash => inventory.blocks.get(hash));
+    const block = {
+        previousHash: parentHash,
+        timestamp: new Date(Math.max(Date.now(), medianTimePast + 1)).toISOString(),
+        nonce: '0',
+        creator: miner.address,
+        merkleRoot: getMerkleRoot(allTransactions),
+        count: allTransactions.length,
+        difficulty: inventory.getNextDifficulty(parentHash),
+        transactions: allTransactions
+    };
+    const { nonce, hash } = searchNonce(block, block.difficulty);
+    return { ...block, nonce, hash };
+}
@@ -0,0 +1,88 @@
+// inventory.test.mjs
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isCoinbase } from '../consensus.mjs';
+import { InventoryManager } from '../inventory.mjs';
+import { getMisbehaviorScore, MISBEHAVIOR_PENALTIES } from '../network.mjs';
+import { BlockStore } from '../storage.mjs';
+import { createChain, createTransfer, createWallet, mineBlock, silenceLogs } from './helpers.mjs';
+
+const alice = createWallet();
+const bob = createWallet();
+
+beforeEach(silenceLogs);
+afterEach(() => mock.restoreAll());
+
+test('refuses a signed transaction typed as coinbase in the pending pool', () => {
+    const inventory = createChain(alice);
+    const fake = createTransfer(alice, bob.address, 5, 0, { type: 'coinbase' });
+
+    assert.equal(inventory.validateTransactionFormat(fake), false);
+    assert.equal(inventory.addTransaction(fake, false), false);
+    assert.equal(inventory.transactions.has(fake.id), false);
+});
+
+test('never puts a second coinbase in a block template', () => {
+    const inventory = createChain(alice);
+    const transfer = createTransfer(alice, bob.address, 5, 0);
+    assert.equal(inventory.addTransaction(transfer, false), true);
+    // One that got into the pool some other way
+    const fake = createTransfer(alice, bob.address, 5, 1, { type: 'coinbase' });
+    inventory.transactions.set(fake.id, fake);
+
+    assert.deepEqual(inventory.selectTransactionsForBlock().map(tx => tx.id), [transfer.id]);
+    const { block } = inventory.createBlockTemplate(bob.address);
+    assert.equal(block.transactions.filter(isCoinbase).length, 1);
+    assert.equal(inventory.checkCoinbase(block.transactions, 1), null);
+});
+
+test('rejects a block with a coinbase after the first transaction', () => {
+    const inventory = createChain(alice);
+    const fake = createTransfer(alice, bob.address, 5, 0, { type: 'coinbase' });
+    const block = mineBlock(inventory, bob, [fake]);
+
+    assert.equal(inventory.addBlock(block, null, false), false);
+    assert.equal(inventory.blocks.has(block.hash), false);
+});
+
+test('charges bad blocks from an unverified announcer to its IP address, not the node id it claimed', () => {
+    const inventory = createChain(alice);
+    const block = mineBlock(inventory, bob);
+    const announcer = { id: 'honest-node', ip: '203.0.113.7', port: 3001, unverified: true };
+
+    assert.equal(inventory.addBlock({ ...block, nonce: 'forged' }, announcer, false), false);
+    assert.equal(getMisbehaviorScore('honest-node'), 0);
+    assert.equal(getMisbehaviorScore('203.0.113.7'), MISBEHAVIOR_PENALTIES.invalidBlock);
+});
+
+test('replays the stored blocks when the head of the state snapshot does not load', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+    try {
+        const inventory = new InventoryManager();
+        inventory.attachStorage(new BlockStore(dataDir));
+        inventory.createGenesisBlock(alice.address);
+        const block1 = mineBlock(inventory, bob, [createTransfer(alice, bob.address, 30, 0)]);
+        assert.equal(inventory.addBlock(block1, null, false), true);
+        const block2 = mineBlock(inventory, bob);
+        assert.equal(inventory.addBlock(block2, null, false), true);
+
+        // The snapshot is at block2, which no longer matches its hash
+        const blocksFile = path.join(dataDir, 'blocks.jsonl');
+        const lines = fs.readFileSync(blocksFile, 'utf8').trim().split('\n');
+        lines[lines.length - 1] = JSON.stringify({ ...block2, nonce: 'changed' });
+        fs.writeFileSync(blocksFile, lines.join('\n') + '\n');
+
+        const reloaded = new InventoryManager();
+        reloaded.attachStorage(new BlockStore(dataDir));
+        assert.equal(reloaded.blockchainHead, block1.hash);
+        assert.equal(reloaded.blockHeights.get(reloaded.blockchainHead), 1);
+        assert.equal(reloaded.getBalance(alice.address), 70);
+        assert.equal(reloaded.getBalance(bob.address), 80);
+        assert.equal(reloaded.getNextNonce(alice.address), 1);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,59 @@
+// merkle.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findDuplicateTransaction, getMerkleProof, getMerkleRoot, getTransactionHash, verifyMerkleProof } from '../merkle.mjs';
+
+const transactions = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, amount: 1 }));
+
+test('a repeated last transaction leaves the root unchanged', () => {
+    const [a, b, c] = transactions;
+    assert.equal(getMerkleRoot([a, b, c]), getMerkleRoot([a, b, c, c]));
+});
+
+test('finds a transaction that appears twice', () => {
+    const [a, b, c] = transactions;
+    assert.equal(findDuplicateTransaction([a, b, c]), null);
+    assert.equal(findDuplicateTransaction([a, b, c, c]), 'c');
+    assert.equal(findDuplicateTransaction([a, b, { ...a, amount: 2 }]), 'a');
+});
+
+test('compares transactions without an id by content', () => {
+    const tx = { amount: 1 };
+    assert.equal(findDuplicateTransaction([tx, { amount: 2 }]), null);
+    assert.ok(findDuplicateTransaction([tx, { ...tx }]));
+});
+
+test('proves every transaction of an even or odd sized block', () => {
+    for (let count = 1; count <= transactions.length; count++) {
+        const block = transactions.slice(0, count);
+        const root = getMerkleRoot(block);
+        block.forEach((tx, index) => {
+            const proof = getMerkleProof(block, index);
+            assert.ok(verifyMerkleProof(getTransactionHash(tx), proof, root), `transaction ${index} of ${count}`);
+        });
+    }
+});
+
+test('a single transaction is its own root', () => {
+    const [a] = transactions;
+    assert.deepEqual(getMerkleProof([a], 0), []);
+    assert.equal(getMerkleRoot([a]), getTransactionHash(a));
+});
+
+test('rejects a proof for another transaction, root or a changed step', () => {
+    const root = getMerkleRoot(transactions);
+    const proof = getMerkleProof(transactions, 2);
+    const txHash = getTransactionHash(transactions[2]);
+
+    assert.equal(verifyMerkleProof(getTransactionHash(transactions[3]), proof, root), false);
+    assert.equal(verifyMerkleProof(txHash, proof, getMerkleRoot(transactions.slice(0, 4))), false);
+    const flipped = proof.map((step, i) => (i === 0 ? { ...step, position: step.position === 'left' ? 'right' : 'left' } : step));
+    assert.equal(verifyMerkleProof(txHash, flipped, root), false);
+    assert.equal(verifyMerkleProof(txHash, proof.slice(1), root), false);
+    assert.equal(verifyMerkleProof(txHash, null, root), false);
+});
+
+test('has no proof for an index outside the block', () => {
+    assert.equal(getMerkleProof(transactions, -1), null);
+    assert.equal(getMerkleProof(transactions, transactions.length), null);
+});
@@ -0,0 +1,97 @@
+// nonces.test.mjs
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChain, createTransfer, createWallet, mineBlock, silenceLogs } from './helpers.mjs';
+
+const alice = createWallet();
+const bob = createWallet();
+
+beforeEach(silenceLogs);
+afterEach(() => mock.restoreAll());
+
+test('counts the next nonce past confirmed and pending transactions', () => {
+    const inventory = createChain(alice);
+    assert.equal(inventory.getNextNonce(alice.address), 0);
+
+    const first = createTransfer(alice, bob.address, 5, 0);
+    assert.equal(inventory.addTransaction(first, false), true);
+    assert.equal(inventory.getNextNonce(alice.address), 1);
+
+    assert.equal(inventory.addBlock(mineBlock(inventory, bob, [first]), null, false), true);
+    assert.equal(inventory.nonces.get(alice.address), 1);
+    assert.equal(inventory.transactions.size, 0);
+    assert.equal(inventory.getNextNonce(alice.address), 1);
+    assert.equal(inventory.getNextNonce(bob.address), 0);
+});
+
+test('rejects gaps and reused nonces, also under a new id', () => {
+    const inventory = createChain(alice);
+    assert.equal(inventory.addTransaction(createTransfer(alice, bob.address, 5, 1), false), false);
+
+    const first = createTransfer(alice, bob.address, 5, 0);
+    assert.equal(inventory.addTransaction(first, false), true);
+    // The same transfer again with a fresh id, pending and then confirmed
+    assert.equal(inventory.addTransaction(createTransfer(alice, bob.address, 5, 0), false), false);
+    assert.equal(inventory.addBlock(mineBlock(inventory, bob, [first]), null, false), true);
+    assert.equal(inventory.addTransaction(createTransfer(alice, bob.address, 5, 0), false), false);
+
+    assert.equal(inventory.addTransaction(createTransfer(alice, bob.address, 5, 1), false), true);
+});
+
+test('rejects blocks whose transactions skip or repeat a nonce', () => {
+    const inventory = createChain(alice);
+    const gap = mineBlock(inventory, bob, [createTransfer(alice, bob.address, 5, 1)]);
+    assert.equal(inventory.addBlock(gap, null, false), false);
+
+    const repeated = mineBlock(inventory, bob, [createTransfer(alice, bob.address, 5, 0), createTransfer(alice, bob.address, 6, 0)]);
+    assert.equal(inventory.addBlock(repeated, null, false), false);
+
+    const inOrder = mineBlock(inventory, bob, [createTransfer(alice, bob.address, 5, 0), createTransfer(alice, bob.address, 6, 1)]);
+    assert.equal(inventory.addBlock(inOrder, null, false), true);
+    assert.equal(inventory.nonces.get(alice.address), 2);
+});
+
+test('rolls nonces back when a reorg takes their block off the main chain', () => {
+    const inventory = createChain(alice);
+    const genesis = inventory.genesisHash;
+    const transfer = createTransfer(alice, bob.address, 30, 0);
+    const spent = mineBlock(inventory, bob, [transfer]);
+    assert.equal(inventory.addBlock(spent, null, false), true);
+    assert.equal(inventory.getNextNonce(alice.address), 1);
+
+    // A longer branch without alice's transfer
+    const fork1 = mineBlock(inventory, bob, [], genesis);
+    assert.equal(inventory.addBlock(fork1, null, false), true);
+    const fork2 = mineBlock(inventory, bob, [], fork1.hash);
+    assert.equal(inventory.addBlock(fork2, null, false), true);
+
+    assert.equal(inventory.blockchainHead, fork2.hash);
+    assert.equal(inventory.nonces.get(alice.address), 0);
+    assert.equal(inventory.getBalance(alice.address), 100);
+    // The transfer is pending again, with the nonce it had, and the next one follows it
+    assert.equal(inventory.transactions.get(transfer.id), transfer);
+    assert.equal(inventory.getNextNonce(alice.address), 1);
+    assert.equal(inventory.addTransaction(createTransfer(alice, bob.address, 30, 1), false), true);
+});
+
+test('keeps the old nonces when the branch of a reorg turns out invalid', () => {
+    const inventory = createChain(alice);
+    const genesis = inventory.genesisHash;
+    const main = mineBlock(inventory, bob, [createTransfer(alice, bob.address, 30, 0)]);
+    assert.equal(inventory.addBlock(main, null, false), true);
+
+    // A side branch is only checked against balances and nonces once it has more work. With as much work a
+    // smaller hash would win, so fork1 is mined until its hash is larger
+    let fork1;
+    do {
+        fork1 = mineBlock(inventory, bob, [createTransfer(alice, bob.address, 5, 3)], genesis);
+    } while (fork1.hash < main.hash);
+    assert.equal(inventory.addBlock(fork1, null, false), true);
+    const fork2 = mineBlock(inventory, bob, [], fork1.hash);
+    inventory.addBlock(fork2, null, false);
+
+    assert.equal(inventory.blockchainHead, main.hash);
+    assert.equal(inventory.blocks.has(fork1.hash), false);
+    assert.equal(inventory.nonces.get(alice.address), 1);
+    assert.equal(inventory.getBalance(alice.address), 70);
+});
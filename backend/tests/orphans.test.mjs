@@ -0,0 +1,101 @@
+// orphans.test.mjs
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createHeaderHasher, searchNonce } from '../consensus.mjs';
+import { InventoryManager } from '../inventory.mjs';
+import { getMisbehaviorScore, MISBEHAVIOR_PENALTIES } from '../network.mjs';
+import { createChain, createWallet, mineBlock, silenceLogs } from './helpers.mjs';
+
+const alice = createWallet();
+const bob = createWallet();
+
+beforeEach(silenceLogs);
+afterEach(() => mock.restoreAll());
+
+function createPeer(id) {
+    return { id, ip: '192.0.2.1', port: 3000 };
+}
+
+// An inventory with only the genesis block of remote, whose missing block fetches are recorded instead of sent
+function createFollower(remote) {
+    const inventory = new InventoryManager();
+    inventory.addBlock(remote.blocks.get(remote.genesisHash), null, false);
+    const fetches = mock.method(inventory, 'fetchMissingBlock', () => {});
+    return { inventory, fetches };
+}
+
+// A block with valid proof-of-work on a parent nobody has
+function mineOrphan(remote) {
+    const { hash, nonce, ...block } = mineBlock(remote, bob);
+    const orphan = { ...block, previousHash: crypto.randomBytes(32).toString('hex') };
+    const found = searchNonce(orphan, orphan.difficulty);
+    return { ...orphan, nonce: found.nonce, hash: found.hash };
+}
+
+test('keeps a block with a missing parent until the parent arrives', () => {
+    const remote = createChain(alice);
+    const block1 = mineBlock(remote, bob);
+    assert.equal(remote.addBlock(block1, null, false), true);
+    const block2 = mineBlock(remote, bob);
+    const { inventory, fetches } = createFollower(remote);
+    const peer = createPeer('orphan-test-parent');
+
+    assert.equal(inventory.addBlock(block2, peer, false), false);
+    assert.equal(inventory.orphanBlocks.has(block2.hash), true);
+    assert.deepEqual(fetches.mock.calls.map(call => call.arguments), [[block1.hash, peer]]);
+
+    assert.equal(inventory.addBlock(block1, peer, false), true);
+    assert.equal(inventory.blockchainHead, block2.hash);
+    assert.equal(inventory.orphanBlocks.size, 0);
+    assert.equal(getMisbehaviorScore(peer.id), 0);
+});
+
+test('drops the oldest orphan chain of a peer over its limit, and penalises the peer for it', () => {
+    const remote = createChain(alice);
+    const { inventory } = createFollower(remote);
+    const flooder = createPeer('orphan-test-flooder');
+    const other = createPeer('orphan-test-other');
+
+    const otherOrphan = mineOrphan(remote);
+    inventory.addBlock(otherOrphan, other, false);
+    const orphans = Array.from({ length: 11 }, () => mineOrphan(remote));
+    orphans.forEach(orphan => inventory.addBlock(orphan, flooder, false));
+
+    assert.equal(inventory.orphanBlocks.size, 11);
+    assert.equal(inventory.orphanBlocks.has(orphans[0].hash), false);
+    assert.equal(inventory.orphanBlocks.has(orphans[10].hash), true);
+    assert.equal(inventory.orphanBlocks.has(otherOrphan.hash), true);
+    assert.equal(getMisbehaviorScore(flooder.id), MISBEHAVIOR_PENALTIES.unconnectedOrphan);
+    assert.equal(getMisbehaviorScore(other.id), 0);
+});
+
+test('limits the missing parents fetched for the orphans of one peer', () => {
+    const remote = createChain(alice);
+    const { inventory, fetches } = createFollower(remote);
+    const flooder = createPeer('orphan-test-fetches');
+    const other = createPeer('orphan-test-fetches-other');
+
+    for (let i = 0; i < 12; i++) {
+        inventory.addBlock(mineOrphan(remote), flooder, false);
+    }
+    assert.equal(fetches.mock.callCount(), 10);
+
+    inventory.addBlock(mineOrphan(remote), other, false);
+    assert.equal(fetches.mock.callCount(), 11);
+});
+
+test('refuses orphans without valid proof-of-work', () => {
+    const remote = createChain(alice);
+    const { inventory, fetches } = createFollower(remote);
+    const peer = createPeer('orphan-test-invalid');
+
+    const { hash, nonce, ...block } = mineOrphan(remote);
+    const claimed = { ...block, difficulty: 64, nonce: '1' };
+    const orphan = { ...claimed, hash: createHeaderHasher(claimed)('1') };
+
+    assert.equal(inventory.addBlock(orphan, peer, false), false);
+    assert.equal(inventory.orphanBlocks.size, 0);
+    assert.equal(fetches.mock.callCount(), 0);
+    assert.equal(getMisbehaviorScore(peer.id), MISBEHAVIOR_PENALTIES.invalidBlock);
+});
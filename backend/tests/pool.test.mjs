@@ -0,0 +1,76 @@
+// pool.test.mjs
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { inventory } from '../inventory.mjs';
+import { miningPool, splitReward } from '../pool.mjs';
+import { createWallet, mineBlock, silenceLogs } from './helpers.mjs';
+
+beforeEach(silenceLogs);
+afterEach(() => mock.restoreAll());
+
+test('splits a reward in whole coins by weight', () => {
+    assert.deepEqual(splitReward(40, new Map([['a', 3n], ['b', 1n]])), { a: 30, b: 10 });
+    assert.deepEqual(splitReward(50, new Map([['a', 1n], ['b', 2n]])), { a: 17, b: 33 });
+    assert.deepEqual(splitReward(0, new Map([['a', 1n]])), {});
+    assert.deepEqual(splitReward(50, new Map()), {});
+});
+
+test('gives the coins left over to the largest remainders, ties to the lowest address', () => {
+    // 16 each with 2 coins left over, the remainders are equal
+    assert.deepEqual(splitReward(50, new Map([['c', 1n], ['b', 1n], ['a', 1n]])), { a: 17, b: 17, c: 16 });
+    // b's part is 0.999 coins, a's 0.001: the only coin goes to b and a is left out
+    assert.deepEqual(splitReward(1, new Map([['a', 1n], ['b', 999n]])), { b: 1 });
+
+    const weights = new Map(Array.from({ length: 7 }, (_, i) => [`w${i}`, BigInt(i * i + 1)]));
+    const payouts = splitReward(101, weights);
+    assert.equal(Object.values(payouts).reduce((sum, amount) => sum + amount, 0), 101);
+    assert.ok(Object.values(payouts).every(Number.isInteger));
+});
+
+// One chain for the payout tests, which follow on from each other: miningPool pays from the node's own inventory
+const poolWallet = createWallet();
+const [worker1, worker2, worker3, worker4] = [createWallet(), createWallet(), createWallet(), createWallet()];
+const other = createWallet();
+inventory.createGenesisBlock(poolWallet.address);
+miningPool.configure({ wallet: poolWallet, payoutConfirmations: 0 });
+
+function addFoundBlock(block, payouts) {
+    assert.equal(inventory.addBlock(block, null, false), true);
+    const height = inventory.blockHeights.get(block.hash);
+    const found = { hash: block.hash, height, reward: 50, payouts, status: 'pending', paid: [], txIds: [] };
+    miningPool.foundBlocks.push(found);
+    return found;
+}
+
+test('retries refused payouts with the next block', () => {
+    // 100 coins from the genesis block and 50 from this one: the second payout doesn't fit until the next block
+    const found = addFoundBlock(mineBlock(inventory, poolWallet), { [worker1.address]: 20, [worker2.address]: 170 });
+    miningPool.processPayouts();
+    assert.equal(found.status, 'partly paid');
+    assert.deepEqual(found.paid, [worker1.address]);
+
+    const next = mineBlock(inventory, poolWallet, inventory.selectTransactionsForBlock());
+    assert.equal(inventory.addBlock(next, null, false), true);
+    miningPool.processPayouts();
+    assert.equal(found.status, 'paid');
+    assert.deepEqual(found.paid, [worker1.address, worker2.address]);
+    assert.equal(found.txIds.length, 2);
+});
+
+test('gives up a partly paid block that left the main chain', () => {
+    const forkPoint = inventory.blockchainHead;
+    const found = addFoundBlock(mineBlock(inventory, poolWallet), { [worker3.address]: 10, [worker4.address]: 1000 });
+    miningPool.processPayouts();
+    assert.equal(found.status, 'partly paid');
+
+    // A longer branch from the block before it takes over the main chain
+    const fork1 = mineBlock(inventory, other, [], forkPoint);
+    assert.equal(inventory.addBlock(fork1, null, false), true);
+    const fork2 = mineBlock(inventory, other, [], fork1.hash);
+    assert.equal(inventory.addBlock(fork2, null, false), true);
+    assert.equal(inventory.blockchainHead, fork2.hash);
+
+    miningPool.processPayouts();
+    assert.equal(found.status, 'orphaned');
+    assert.deepEqual(found.paid, [worker3.address]);
+});
@@ -0,0 +1,83 @@
+// ratelimit.test.mjs
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RATE_LIMITS, RateLimiter, getMessageClass, getRouteClass, parseRateLimits } from '../ratelimit.mjs';
+
+let now;
+beforeEach(() => {
+    now = 1700000000000;
+    mock.method(Date, 'now', () => now);
+});
+afterEach(() => mock.restoreAll());
+
+function takeMany(rateLimiter, client, routeClass, count) {
+    return Array.from({ length: count }, () => rateLimiter.take(client, routeClass).allowed);
+}
+
+test('allows a burst, then refuses with the seconds until the next token', () => {
+    const rateLimiter = new RateLimiter({ ...DEFAULT_RATE_LIMITS, heavy: { burst: 3, perSecond: 0.5 } });
+    assert.deepEqual(takeMany(rateLimiter, 'client', 'heavy', 3), [true, true, true]);
+    assert.deepEqual(rateLimiter.take('client', 'heavy'), { allowed: false, retryAfter: 2 });
+
+    now += 1000;
+    assert.deepEqual(rateLimiter.take('client', 'heavy'), { allowed: false, retryAfter: 1 });
+});
+
+test('refills at perSecond up to the burst', () => {
+    const rateLimiter = new RateLimiter({ ...DEFAULT_RATE_LIMITS, default: { burst: 5, perSecond: 2 } });
+    takeMany(rateLimiter, 'client', 'default', 5);
+
+    now += 1500; // 3 tokens
+    assert.deepEqual(takeMany(rateLimiter, 'client', 'default', 4), [true, true, true, false]);
+
+    now += 60000; // Far more than the burst
+    assert.deepEqual(takeMany(rateLimiter, 'client', 'default', 6), [true, true, true, true, true, false]);
+});
+
+test('keeps a bucket per client and route class', () => {
+    const rateLimiter = new RateLimiter({ default: { burst: 1, perSecond: 1 }, heavy: { burst: 1, perSecond: 1 } });
+    assert.equal(rateLimiter.take('a', 'heavy').allowed, true);
+    assert.equal(rateLimiter.take('a', 'heavy').allowed, false);
+    assert.equal(rateLimiter.take('a', 'default').allowed, true);
+    assert.equal(rateLimiter.take('b', 'heavy').allowed, true);
+    // Classes without limits of their own use the default ones
+    assert.equal(rateLimiter.take('a', 'unknown').allowed, true);
+    assert.equal(rateLimiter.take('a', 'unknown').allowed, false);
+});
+
+test('drops the buckets of idle clients', () => {
+    const rateLimiter = new RateLimiter();
+    rateLimiter.take('idle', 'default');
+    now += 5 * 60 * 1000;
+    rateLimiter.take('active', 'default');
+    now += 6 * 60 * 1000;
+    rateLimiter.take('active', 'heavy');
+
+    assert.deepEqual(Array.from(rateLimiter.buckets.keys()).sort(), ['default:active', 'heavy:active']);
+});
+
+test('classes routes and link messages', () => {
+    assert.equal(getRouteClass('GET', '/getblocks'), 'heavy');
+    assert.equal(getRouteClass('POST', '/mining/submit'), 'heavy');
+    assert.equal(getRouteClass('POST', '/block'), 'gossip');
+    assert.equal(getRouteClass('GET', '/block'), 'default');
+    assert.equal(getRouteClass('GET', '/status'), 'default');
+
+    assert.equal(getMessageClass('block'), 'gossip');
+    assert.equal(getMessageClass('getdata'), 'heavy');
+    assert.equal(getMessageClass('ping'), 'default');
+    assert.equal(getMessageClass('request', { path: '/headers?from=abc' }), 'heavy');
+    assert.equal(getMessageClass('request', { path: '/peers' }), 'default');
+});
+
+test('parses limits on top of the defaults', () => {
+    const limits = parseRateLimits('heavy:20/5, gossip:500/0.5');
+    assert.deepEqual(limits.heavy, { burst: 20, perSecond: 5 });
+    assert.deepEqual(limits.gossip, { burst: 500, perSecond: 0.5 });
+    assert.deepEqual(limits.default, DEFAULT_RATE_LIMITS.default);
+    assert.deepEqual(parseRateLimits(''), DEFAULT_RATE_LIMITS);
+
+    assert.throws(() => parseRateLimits('heavy:20'), /invalid rate limit "heavy:20"/);
+    assert.throws(() => parseRateLimits('bulk:20/5'), /invalid rate limit "bulk:20\/5"/);
+    assert.throws(() => parseRateLimits('heavy:20/0'), /invalid rate limit/);
+});
@@ -0,0 +1,38 @@
+// rpc.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, getRpcMethodClass } from '../ratelimit.mjs';
+import { handleRpcRequest, registerRpcMethod, RpcError, RPC_ERRORS } from '../rpc.mjs';
+
+registerRpcMethod('getMempool', [], () => []);
+registerRpcMethod('getBalance', ['address'], ({ address }) => ({ address, balance: 0 }));
+
+// Like answerRpc in index.mjs
+function limitedBy(rateLimiter, client) {
+    return method => {
+        const { allowed, retryAfter } = rateLimiter.take(client, getRpcMethodClass(method));
+        return allowed ? null : new RpcError(RPC_ERRORS.rateLimited, 'Too many requests', { retryAfter });
+    };
+}
+
+test('classes RPC methods like the routes they stand in for', () => {
+    assert.equal(getRpcMethodClass('getMempool'), 'heavy');
+    assert.equal(getRpcMethodClass('getBlockByHeight'), 'heavy');
+    assert.equal(getRpcMethodClass('getBlock'), 'default');
+    assert.equal(getRpcMethodClass('sendTransaction'), 'gossip');
+    assert.equal(getRpcMethodClass('noSuchMethod'), 'default');
+});
+
+test('charges every call of a batch against the rate limit of its method', async () => {
+    const rateLimiter = new RateLimiter({ default: { burst: 60, perSecond: 20 }, heavy: { burst: 10, perSecond: 0.001 } });
+    const batch = Array.from({ length: 12 }, (_, i) => ({ jsonrpc: '2.0', method: 'getMempool', id: i }));
+    batch.push({ jsonrpc: '2.0', method: 'getBalance', params: ['abc'], id: 'cheap' });
+
+    const responses = await handleRpcRequest(batch, limitedBy(rateLimiter, '198.51.100.1'));
+
+    assert.equal(responses.filter(r => r.result).length, 11);
+    const refused = responses.filter(r => r.error);
+    assert.deepEqual(refused.map(r => r.id), [10, 11]);
+    assert.equal(refused[0].error.code, RPC_ERRORS.rateLimited);
+    assert.ok(refused[0].error.data.retryAfter > 0);
+});
@@ -0,0 +1,76 @@
+// wallet.test.mjs
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveAddress, isValidAddress, signMessage, signTransaction, verifyMessageSignature, verifyTransactionSignature } from '../wallet.mjs';
+import { createChain, createTransfer, createWallet, mineBlock, silenceLogs } from './helpers.mjs';
+
+const alice = createWallet();
+const bob = createWallet();
+
+beforeEach(silenceLogs);
+afterEach(() => mock.restoreAll());
+
+test('derives 32 hex character addresses from public keys', () => {
+    assert.ok(isValidAddress(alice.address));
+    assert.equal(deriveAddress(alice.publicKey), alice.address);
+    assert.notEqual(alice.address, bob.address);
+    assert.equal(isValidAddress(alice.address.toUpperCase()), false);
+    assert.equal(isValidAddress(`${alice.address}0`), false);
+});
+
+test('verifies a signed transaction, whatever the order of its fields', () => {
+    const tx = createTransfer(alice, bob.address, 5, 0, { fee: 1 });
+    assert.equal(tx.sender, alice.address);
+    assert.equal(tx.publicKey, alice.publicKey);
+    assert.equal(verifyTransactionSignature(tx), true);
+
+    const reordered = Object.fromEntries(Object.entries(tx).reverse());
+    assert.equal(verifyTransactionSignature(reordered), true);
+});
+
+test('rejects a transaction changed after signing', () => {
+    const tx = createTransfer(alice, bob.address, 5, 0);
+    for (const change of [{ amount: 50 }, { receiver: alice.address }, { nonce: 1 }, { fee: 1 }, { id: 'tx_other' }]) {
+        assert.equal(verifyTransactionSignature({ ...tx, ...change }), false, `changed ${Object.keys(change)[0]}`);
+    }
+});
+
+test('rejects signatures by any key but the sender\'s', () => {
+    const tx = createTransfer(alice, bob.address, 5, 0);
+    // Signed by bob but claiming to come from alice
+    const forged = { ...signTransaction({ ...tx }, bob), sender: alice.address };
+    assert.equal(verifyTransactionSignature(forged), false);
+    // Bob's signature with alice's public key
+    assert.equal(verifyTransactionSignature({ ...tx, signature: signTransaction(tx, bob).signature }), false);
+
+    assert.equal(verifyTransactionSignature({ ...tx, signature: undefined }), false);
+    assert.equal(verifyTransactionSignature({ ...tx, signature: 'zz' }), false);
+    assert.equal(verifyTransactionSignature({ ...tx, publicKey: 'not hex' }), false);
+});
+
+test('signs and verifies other messages for an address', () => {
+    const message = signMessage({ nodeId: alice.address, timestamp: 1 }, alice);
+    assert.equal(verifyMessageSignature(message, alice.address), true);
+    assert.equal(verifyMessageSignature(message, bob.address), false);
+    assert.equal(verifyMessageSignature({ ...message, timestamp: 2 }, alice.address), false);
+});
+
+test('keeps unsigned and badly signed transactions out of the pending pool', () => {
+    const inventory = createChain(alice);
+    const { signature, publicKey, ...unsigned } = createTransfer(alice, bob.address, 5, 0);
+    assert.equal(inventory.addTransaction(unsigned, false), false);
+
+    // Spending alice's coins with bob's key
+    const theft = { ...createTransfer(bob, bob.address, 5, 0), sender: alice.address };
+    assert.equal(inventory.addTransaction(theft, false), false);
+    assert.equal(inventory.transactions.size, 0);
+});
+
+test('rejects a block with a badly signed transaction', () => {
+    const inventory = createChain(alice);
+    const tampered = { ...createTransfer(alice, bob.address, 5, 0), amount: 50 };
+    const block = mineBlock(inventory, bob, [tampered]);
+
+    assert.equal(inventory.addBlock(block, null, false), false);
+    assert.equal(inventory.blockchainHead, inventory.genesisHash);
+});
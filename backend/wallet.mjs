@@ -0,0 +1,115 @@
+// wallet.mjs
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Addresses are the first 32 hex chars of sha256(public key DER), the same
+// length as the random nodeIds we used before
+export function deriveAddress(publicKeyHex) {
+    return crypto.createHash('sha256')
+        .update(Buffer.from(publicKeyHex, 'hex'))
+        .digest('hex')
+        .slice(0, 32);
+}
+
+export function isValidAddress(address) {
+    return typeof address === 'string' && /^[0-9a-f]{32}$/.test(address);
+}
+
+// Load the node's Ed25519 keypair from disk, generating and saving a new one on first start
+export function loadOrCreateWallet(keyFile) {
+    if (fs.existsSync(keyFile)) {
+        const stored = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+        const privateKey = crypto.createPrivateKey(stored.privateKey);
+        const publicKey = crypto.createPublicKey(privateKey)
+            .export({ format: 'der', type: 'spki' })
+            .toString('hex');
+
+        console.log(`Loaded node keypair from ${keyFile}`);
+        return { address: deriveAddress(publicKey), publicKey, privateKey };
+    }
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicKeyHex = publicKey.export({ format: 'der', type: 'spki' }).toString('hex');
+
+    fs.mkdirSync(path.dirname(path.resolve(keyFile)), { recursive: true });
+    fs.writeFileSync(keyFile, JSON.stringify({
+        publicKey: publicKeyHex,
+        privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' })
+    }, null, 2), { mode: 0o600 });
+
+    console.log(`Generated new node keypair and saved it to ${keyFile}`);
+    return { address: deriveAddress(publicKeyHex), publicKey: publicKeyHex, privateKey };
+}
+
+// Canonical byte string that gets signed: every field except the signature, keys sorted
+export function getSigningPayload(tx) {
+    const { signature, ...unsigned } = tx;
+    const sorted = Object.keys(unsigned).sort().reduce((acc, key) => {
+        acc[key] = unsigned[key];
+        return acc;
+    }, {});
+    return Buffer.from(JSON.stringify(sorted));
+}
+
+// Sign a transaction with the wallet's key, filling in sender and publicKey
+export function signTransaction(tx, wallet) {
+    const unsigned = { ...tx, sender: wallet.address, publicKey: wallet.publicKey };
+    delete unsigned.signature;
+
+    const signature = crypto.sign(null, getSigningPayload(unsigned), wallet.privateKey).toString('hex');
+    return { ...unsigned, signature };
+}
+
+// Check that the signature was made by the key that owns tx.sender
+export function verifyTransactionSignature(tx) {
+    if (typeof tx.publicKey !== 'string' || typeof tx.signature !== 'string') {
+        console.log(`Transaction ${tx.id} is missing publicKey or signature`);
+        return false;
+    }
+
+    if (deriveAddress(tx.publicKey) !== tx.sender) {
+        console.log(`Transaction ${tx.id} public key does not belong to sender ${tx.sender}`);
+        return false;
+    }
+
+    try {
+        const publicKey = crypto.createPublicKey({
+            key: Buffer.from(tx.publicKey, 'hex'),
+            format: 'der',
+            type: 'spki'
+        });
+        return crypto.verify(null, getSigningPayload(tx), publicKey, Buffer.from(tx.signature, 'hex'));
+    } catch (error) {
+        console.log(`Transaction ${tx.id} signature could not be verified: ${error.message}`);
+        return false;
+    }
+}
+
+// Sign any other message (e.g. a peer handshake) with the wallet's key, filling in publicKey
+export function signMessage(message, wallet) {
+    const unsigned = { ...message, publicKey: wallet.publicKey };
+    delete unsigned.signature;
+
+    const signature = crypto.sign(null, getSigningPayload(unsigned), wallet.privateKey).toString('hex');
+    return { ...unsigned, signature };
+}
+
+// Check that a message was signed by the key that owns address
+export function verifyMessageSignature(message, address) {
+    if (typeof message.publicKey !== 'string' || typeof message.signature !== 'string' ||
+        deriveAddress(message.publicKey) !== address) {
+        return false;
+    }
+
+    try {
+        const publicKey = crypto.createPublicKey({
+            key: Buffer.from(message.publicKey, 'hex'),
+            format: 'der',
+            type: 'spki'
+        });
+        return crypto.verify(null, getSigningPayload(message), publicKey, Buffer.from(message.signature, 'hex'));
+    } catch (error) {
+        return false;
+    }
+}
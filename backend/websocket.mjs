@@ -0,0 +1,268 @@
+// websocket.mjs
+// Minimal WebSocket (RFC 6455) on top of Node's http upgrade, enough for the links between peers:
+// text messages, fragmentation, ping/pong and close. No extensions or subprotocols
+import crypto from 'crypto';
+import http from 'http';
+import { EventEmitter } from 'events';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const CLOSE_TIMEOUT = 5000; // How long we wait for the other side to answer our close frame
+export const MAX_MESSAGE_SIZE = 2 * 1024 * 1024; // Room for an encrypted, base64 encoded body of api.maxBodySize (1 MB by default)
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+function getAcceptKey(key) {
+    return crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+// One end of a WebSocket. Emits 'message' (string) for every complete message and 'close' once the link is gone
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket, isClient, head) {
+        super();
+        this.socket = socket;
+        this.isClient = isClient; // Clients mask the frames they send, servers don't
+        this.buffer = Buffer.alloc(0);
+        this.fragments = []; // Frames of a message that isn't complete yet
+        this.fragmentsSize = 0;
+        this.closing = false;
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('error', () => socket.destroy());
+        socket.on('close', () => {
+            this.closed = true;
+            this.emit('close');
+        });
+
+        // Bytes that arrived together with the upgrade, handled once the caller has added its listeners
+        if (head && head.length > 0) {
+            setImmediate(() => this.receive(head));
+        }
+    }
+
+    isOpen() {
+        return !this.closing && !this.closed;
+    }
+
+    send(text) {
+        if (!this.isOpen()) return false;
+        this.sendFrame(OPCODES.text, Buffer.from(text));
+        return true;
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.isOpen()) return;
+        this.closing = true;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.close, payload);
+        this.socket.end();
+        setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT).unref();
+    }
+
+    // Drop the link without a closing handshake, e.g. when the other side stopped answering
+    terminate() {
+        this.closing = true;
+        this.socket.destroy();
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.socket.destroyed || !this.socket.writable) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        if (!this.isClient) {
+            this.socket.write(Buffer.concat([header, payload]));
+            return;
+        }
+
+        header[1] |= 0x80;
+        const mask = crypto.randomBytes(4);
+        const masked = Buffer.alloc(payload.length);
+        for (let i = 0; i < payload.length; i++) {
+            masked[i] = payload[i] ^ mask[i % 4];
+        }
+        this.socket.write(Buffer.concat([header, mask, masked]));
+    }
+
+    receive(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        while (!this.closed) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    // Take the next complete frame off the buffer, null if it hasn't fully arrived yet
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const longLength = buffer.readBigUInt64BE(2);
+            length = longLength > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(longLength);
+            offset = 10;
+        }
+
+        if (length > MAX_MESSAGE_SIZE) {
+            this.fail(1009, 'message too big');
+            return null;
+        }
+        // Frames from a client have to be masked and frames from a server must not be
+        if (masked === this.isClient) {
+            this.fail(1002, 'wrong masking');
+            return null;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < offset + maskLength + length) return null;
+
+        let payload = buffer.subarray(offset + maskLength, offset + maskLength + length);
+        if (masked) {
+            const mask = buffer.subarray(offset, offset + 4);
+            payload = Buffer.from(payload);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        this.buffer = buffer.subarray(offset + maskLength + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation:
+                if ((opcode === OPCODES.continuation) !== (this.fragments.length > 0)) {
+                    return this.fail(1002, 'unexpected continuation frame');
+                }
+                this.fragmentsSize += payload.length;
+                if (this.fragmentsSize > MAX_MESSAGE_SIZE) {
+                    return this.fail(1009, 'message too big');
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsSize = 0;
+                    this.emit('message', message);
+                }
+                return;
+
+            case OPCODES.ping:
+                return this.sendFrame(OPCODES.pong, payload);
+
+            case OPCODES.pong:
+                return;
+
+            case OPCODES.close:
+                // Answer with the same status code, unless we started the close ourselves
+                if (!this.closing) {
+                    this.closing = true;
+                    this.sendFrame(OPCODES.close, payload.subarray(0, 2));
+                }
+                this.socket.end();
+                return;
+
+            default:
+                return this.fail(1002, `unknown opcode ${opcode}`);
+        }
+    }
+
+    // Protocol error from the other side: close with the status code and stop reading
+    fail(code, reason) {
+        this.buffer = Buffer.alloc(0);
+        this.close(code, reason);
+        this.socket.destroy();
+    }
+}
+
+// Answer an HTTP upgrade request on the server side. Returns the connection, or null after
+// refusing a request that isn't a valid WebSocket handshake
+export function acceptWebSocket(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${getAcceptKey(key)}`,
+        '',
+        ''
+    ].join('\r\n'));
+    return new WebSocketConnection(socket, false, head);
+}
+
+// Open a WebSocket to an http:// URL
+export function connectWebSocket(url, headers = {}, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const key = crypto.randomBytes(16).toString('base64');
+        const req = http.request(url, {
+            headers: {
+                ...headers,
+                'Connection': 'Upgrade',
+                'Upgrade': 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            },
+            timeout
+        });
+
+        req.on('upgrade', (res, socket, head) => {
+            if (res.headers['sec-websocket-accept'] !== getAcceptKey(key)) {
+                socket.destroy();
+                return reject(new Error('invalid Sec-WebSocket-Accept'));
+            }
+            socket.setTimeout(0);
+            resolve(new WebSocketConnection(socket, true, head));
+        });
+        req.on('response', res => {
+            res.resume();
+            reject(new Error(`HTTP ${res.statusCode}`));
+        });
+        req.on('timeout', () => req.destroy(new Error('timed out')));
+        req.on('error', reject);
+        req.end();
+    });
+}